@@ -13,7 +13,7 @@ await build({
   platform: "node",
   format: "esm",
   target: ["node18"],
-  external: ["playwright"],
+  external: ["playwright", "satori", "@resvg/resvg-wasm", "undici"],
   banner: {
     js: "#!/usr/bin/env node"
   },
@@ -1,109 +1,209 @@
-import fs from "node:fs/promises";
-import os from "node:os";
-import path from "node:path";
-import { validateInsights } from "./schema.js";
-
-const BaseUrl = "https://api.anthropic.com";
-const MessagesPath = "/v1/messages";
-const BetaHeader = "oauth-2025-04-20";
-
-export async function generateInsightsFromHtml({ model, html }) {
-  const credentials = await loadClaudeCredentials();
-  if (!credentials?.accessToken) {
-    throw new Error("Claude OAuth credentials not found. Run Claude Code to sign in.");
+import { AuthError, CostatsError, InvalidResponseError, OverloadedError, RateLimitError } from "./errors.js";
+import { fetchWithTimeout, redactUrl, resolveProxy, retryDelayMs, sleep } from "./http.js";
+import { AnthropicProvider } from "./llm-anthropic.js";
+import { OpenAiProvider } from "./llm-openai.js";
+import { defaultRedaction, formatRedactionCounts, redactText } from "./redact.js";
+import { shrinkReportHtml } from "./report-parser.js";
+import { formatValidationError, insightsJsonSchema, validateInsights } from "./schema.js";
+import { estimateTokens } from "./utils.js";
+
+export const DefaultTimeoutSeconds = 120;
+const Providers = {
+  anthropic: AnthropicProvider,
+  openai: OpenAiProvider
+};
+export const LlmProviders = Object.keys(Providers);
+export const DefaultLlmProvider = "anthropic";
+// 429, 529 and other 5xx answers are retried this many times, waiting retry-after when the API sends it
+const MaxRetries = 3;
+const RetryDelay = { baseMs: 1000, maxMs: 60 * 1000 };
+// Bump when buildPrompt changes so cached extractions from the old prompt are not reused
+export const PromptVersion = 5;
+const Tool = {
+  name: "record_insights",
+  description: "Records the structured data extracted from a Claude Code Insights report."
+};
+const MaxTokens = 4096;
+
+// --llm-base-url wins over the provider's environment variable (COSTATS_API_BASE_URL for anthropic,
+// OPENAI_BASE_URL for openai); the timeout covers each request to the model. redaction comes from
+// loadRedaction and defaults to the built-in rules.
+export function resolveApiOptions({
+  provider = DefaultLlmProvider,
+  apiKeyFile,
+  baseUrl,
+  timeout,
+  redaction = defaultRedaction()
+} = {}) {
+  const llm = Providers[provider];
+  if (!llm) {
+    throw new Error(`Unknown LLM provider: ${provider}. Use one of: ${LlmProviders.join(", ")}`);
+  }
+  const resolvedBaseUrl = (baseUrl || process.env[llm.baseUrlEnv]?.trim() || llm.defaultBaseUrl).replace(/\/+$/, "");
+  let protocol;
+  try {
+    protocol = new URL(resolvedBaseUrl).protocol;
+  } catch {
+    protocol = null;
+  }
+  if (protocol !== "https:" && protocol !== "http:") {
+    throw new Error(`API base URL must be an http or https URL: ${resolvedBaseUrl}`);
   }
-  if (credentials.expiresAt && Date.now() > credentials.expiresAt) {
-    throw new Error("Claude OAuth token expired. Please re-authenticate.");
+  const seconds = timeout === undefined ? DefaultTimeoutSeconds : Number(timeout);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error("--timeout must be a positive number of seconds");
   }
+  return { provider: llm, apiKeyFile, baseUrl: resolvedBaseUrl, timeoutMs: seconds * 1000, redaction };
+}
+
+// The model a run uses, for the request and the cache key
+export function resolveModel(api, model) {
+  return model || api.provider.defaultModel;
+}
+
+// The first request for a report as the provider receives it, without the credential headers
+// that are added when it is sent. --dry-run-prompt prints it instead of calling the model.
+export function buildInsightsRequest({ model, html, api = resolveApiOptions(), log }) {
+  const turns = [{ role: "user", text: buildPrompt(prepareReport(html, api, log)) }];
+  const request = providerRequest(api, model, turns);
+  return { url: api.baseUrl + request.path, headers: request.headers, body: request.body };
+}
 
-  const prompt = buildPrompt(html);
-  const payload = {
-    model: model || "claude-haiku-4-5",
-    max_tokens: 1500,
-    temperature: 0.2,
-    system: "Return JSON only. Do not include markdown or commentary.",
-    messages: [
+// Sends the shrunk, redacted report to the configured provider and asks for a forced tool call,
+// whose input is validated against the insights schema with one repair round-trip on failure
+export async function generateInsightsFromHtml({ model, html, api = resolveApiOptions(), log }) {
+  const { provider } = api;
+  // costats eval replays recorded answers and sets auth so no credentials are needed
+  const auth = api.auth || (await provider.resolveAuth({ apiKeyFile: api.apiKeyFile, log }));
+  log?.(`${provider.label} credentials: ${auth.source}`);
+  const proxy = resolveProxy(api.baseUrl);
+  log?.(`${provider.label} endpoint: ${api.baseUrl}${proxy ? " via proxy " + redactUrl(proxy) : ""}`);
+
+  const report = prepareReport(html, api, log);
+  const send = async (turns) => {
+    const json = await sendRequest({ api, auth, request: providerRequest(api, model, turns), log });
+    return provider.readToolCall(json, Tool.name);
+  };
+
+  const turns = [{ role: "user", text: buildPrompt(report) }];
+  const toolCall = await send(turns);
+  try {
+    return validateInsights(toolCall.input);
+  } catch (err) {
+    // One repair round-trip: hand the validation errors back as a failed tool result
+    const issues = formatValidationError(err);
+    log?.(`${provider.label} data failed validation, asking for a corrected ${Tool.name} call: ${issues}`);
+    const repaired = await send([
+      ...turns,
+      { role: "assistant", toolCall },
       {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: prompt
-          }
-        ]
+        role: "tool",
+        toolCallId: toolCall.id,
+        isError: true,
+        text: `The input failed validation: ${issues}. Call ${Tool.name} again with every field corrected.`
       }
-    ]
-  };
+    ]);
+    try {
+      return validateInsights(repaired.input);
+    } catch (repairErr) {
+      const message = formatValidationError(repairErr);
+      throw new InvalidResponseError(
+        `${provider.label} returned data that does not match the insights schema: ${message}`,
+        { cause: repairErr }
+      );
+    }
+  }
+}
 
-  const response = await fetch(`${BaseUrl}${MessagesPath}`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${credentials.accessToken}`,
-      "content-type": "application/json",
-      "anthropic-beta": BetaHeader,
-      "anthropic-version": "2023-06-01"
-    },
-    body: JSON.stringify(payload)
+// Shrinks the report to text, then masks paths, usernames, repos, emails and custom patterns
+function prepareReport(html, api, log) {
+  const shrunk = shrinkReportHtml(html);
+  const before = estimateTokens(html);
+  const after = estimateTokens(shrunk);
+  log?.(`Report shrunk from ~${before} to ~${after} tokens (${Math.round((1 - after / before) * 100)}% smaller)`);
+  if (!api.redaction?.enabled) {
+    log?.("Redaction is off, the report text is sent as is");
+    return shrunk;
+  }
+  const { text, counts } = redactText(shrunk, api.redaction);
+  log?.(`Redacted before sending: ${formatRedactionCounts(counts)}`);
+  return text;
+}
+
+function providerRequest(api, model, turns) {
+  return api.provider.buildRequest({
+    model: resolveModel(api, model),
+    system: `Record the extracted data by calling the ${Tool.name} tool. Do not reply with text.`,
+    tool: { ...Tool, schema: insightsJsonSchema() },
+    turns,
+    maxTokens: MaxTokens,
+    temperature: 0.2
   });
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Claude API error ${response.status}: ${errorText}`);
+// Posts one request, retrying 429, 529 and other 5xx answers, and returns the parsed body
+async function sendRequest({ api, auth, request, log }) {
+  const { label } = api.provider;
+  let response;
+  for (let attempt = 0; ; attempt += 1) {
+    response = await fetchWithTimeout(
+      api.baseUrl + request.path,
+      {
+        method: "POST",
+        headers: { ...auth.headers, ...request.headers, "content-type": "application/json" },
+        body: JSON.stringify(request.body)
+      },
+      { timeoutMs: api.timeoutMs }
+    );
+    if (response.ok || !isRetryable(response.status) || attempt === MaxRetries) {
+      break;
+    }
+    const delayMs = retryDelayMs(response, attempt, RetryDelay);
+    await response.body?.cancel();
+    const seconds = (delayMs / 1000).toFixed(1);
+    log?.(`${label} returned ${response.status}, retrying in ${seconds}s (${attempt + 1}/${MaxRetries})`);
+    await sleep(delayMs);
   }
 
-  const json = await response.json();
-  const text = extractText(json);
-  const parsed = extractJson(text);
-  return validateInsights(parsed);
+  if (!response.ok) {
+    throw apiError(label, response.status, await response.text(), auth.source);
+  }
+  try {
+    return await response.json();
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    throw new InvalidResponseError(`${label} returned an unusable response: ${message}`, { cause: err });
+  }
 }
 
-function extractText(responseJson) {
-  if (!responseJson?.content) {
-    throw new Error("Claude API response missing content");
-  }
-  return responseJson.content
-    .map((block) => (block.type === "text" ? block.text : ""))
-    .join("\n")
-    .trim();
+function isRetryable(status) {
+  return status === 429 || status >= 500;
 }
 
-function extractJson(text) {
-  const first = text.indexOf("{");
-  const last = text.lastIndexOf("}");
-  if (first === -1 || last === -1) {
-    throw new Error("Claude response did not include JSON");
+function apiError(label, status, errorText, source) {
+  const detail = `HTTP ${status} from ${label} (credentials: ${source}): ${errorText}`;
+  if (status === 401 || status === 403) {
+    return new AuthError(`${label} rejected the credentials. ${detail}`);
   }
-  const sliced = text.slice(first, last + 1);
-  return JSON.parse(sliced);
+  if (status === 429) {
+    return new RateLimitError(`${label} rate limit still reached after ${MaxRetries} retries. ${detail}`);
+  }
+  if (status >= 500) {
+    return new OverloadedError(`${label} is overloaded or unavailable after ${MaxRetries} retries. ${detail}`);
+  }
+  return new CostatsError(detail);
 }
 
-function buildPrompt(html) {
-  return `Extract structured data from the following Claude Code Insights HTML report.
-
-Return JSON only that matches this schema exactly:
-{
-  "title": string,
-  "dateRange": { "start": "YYYY-MM-DD", "end": "YYYY-MM-DD" },
-  "totals": { "messages": number, "sessions": number, "days": number, "hours": number },
-  "lines": { "added": number, "removed": number },
-  "filesTouched": number,
-  "messagesPerDay": number,
-  "tools": [ { "name": string, "count": number } ],
-  "languages": [ { "name": string, "lines": number, "percentage": number } ],
-  "outcomes": [ { "name": string, "count": number } ],
-  "satisfaction": [ { "name": string, "count": number } ],
-  "multiFileChanges": number,
-  "highlights": [ string, string ],
-  "personalityBadge": { "label": string, "reason": string },
-  "achievementRate": number,
-  "timeOfDay": { "hourCounts": { "0": number, ... "23": number }, "peakPeriod": string },
-  "roast": { "headline": string, "detail": string },
-  "multiClauding": { "overlapEvents": number, "sessionsInvolved": number, "percentOfMessages": number },
-  "peakPeriod": string,
-  "medianResponseTime": number,
-  "frictionCount": number,
-  "frictionCategories": [ { "name": string, "count": number } ]
-}
+// report is the text from shrinkReportHtml, not the raw HTML
+function buildPrompt(report) {
+  return `Extract structured data from the following Claude Code Insights report. It was converted
+from HTML to text: headings start with ##, "Label: value" lines come from stat cards and bar
+charts, and table cells are separated by |. Values such as [path], [user], [email], [url], [repo],
+[project] and [redacted] were masked for privacy; keep them as they are.
+
+Call the ${Tool.name} tool with the extracted data. Fill in every field of its schema, including
+the optional ones, and write dates as YYYY-MM-DD. hourCounts maps each hour "0" to "23" to a count
+and highlights has two entries.
 
 STRICT TEXT FORMATTING RULES:
 - NEVER use EM dashes (—) or EN dashes (–). Use regular hyphens (-) only.
@@ -114,7 +214,7 @@ DATA RULES:
 - Use numeric values (no K/M suffixes).
 - highlights should be short (<= 120 chars) and funny/roasty if possible.
 - achievementRate should be 0-1 if derivable from outcomes. Calculate as (fully + mostly achieved) / total.
-- roast: Extract from the "fun-ending" section. headline is the main quote. Make it funny and self-deprecating.
+- roast: Extract from the "Fun ending" section. headline is the main quote. Make it funny and self-deprecating.
 - multiClauding: Extract from "Multi-Clauding" section if present.
 - peakPeriod: The time period with most activity. Must be one of: "Morning", "Afternoon", "Evening", "Night".
 - medianResponseTime: The median response time in seconds from the report.
@@ -123,28 +223,6 @@ DATA RULES:
 - If a field is missing set it to 0 or an empty array but keep the key.
 - Do not return null for required numeric fields.
 
-HTML:
-${html}`;
-}
-
-async function loadClaudeCredentials() {
-  const home = os.homedir();
-  const credentialsPath = path.join(home, ".claude", ".credentials.json");
-  try {
-    const json = await fs.readFile(credentialsPath, "utf8");
-    const data = JSON.parse(json);
-    const oauth = data?.claudeAiOauth;
-    if (!oauth) {
-      return null;
-    }
-    return {
-      accessToken: oauth.accessToken ?? null,
-      refreshToken: oauth.refreshToken ?? null,
-      expiresAt: typeof oauth.expiresAt === "number" ? oauth.expiresAt : null,
-      subscriptionType: oauth.subscriptionType ?? null,
-      rateLimitTier: oauth.rateLimitTier ?? null
-    };
-  } catch {
-    return null;
-  }
+REPORT:
+${report}`;
 }
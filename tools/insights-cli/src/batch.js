@@ -0,0 +1,194 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import ora from "ora";
+import { ExitCodes, ReportMissingError, exitCodeFor } from "./errors.js";
+import { saveSnapshot } from "./history.js";
+import { loadInsights, toUserMessage } from "./insights.js";
+import { formatExtension } from "./output-formats.js";
+import { createRenderer } from "./render.js";
+import { createVerboseLog, defaultBatchHistoryDir, formatTable } from "./utils.js";
+
+const IndexFileName = "index.json";
+const GenericStems = ["report", "insights"];
+
+// Renders one card per report from one browser and keeps going past failed reports.
+// Each extraction is saved to the batch history under its report name unless history is false.
+export async function runInsightsBatch({
+  pattern,
+  outputDir,
+  model,
+  extractor,
+  refresh,
+  api,
+  history = true,
+  verbose,
+  template,
+  theme,
+  format,
+  renderer,
+  size
+}) {
+  // Skip earlier cards when the output directory sits inside the reports folder
+  const inputs = (await findReports(pattern)).filter((file) => !file.startsWith(outputDir + path.sep));
+  if (inputs.length === 0) {
+    throw new ReportMissingError(`No reports found for ${pattern}`);
+  }
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const names = uniqueNames(inputs);
+  const session = createRenderer({ renderer });
+  const spinner = ora({ spinner: "dots", isEnabled: Boolean(process.stdout.isTTY) }).start();
+  const log = createVerboseLog(spinner, verbose);
+  const results = [];
+  try {
+    for (const [index, inputPath] of inputs.entries()) {
+      const name = names[index];
+      spinner.text = `Composing card ${index + 1}/${inputs.length}: ${name}`;
+      const outputPath = path.join(outputDir, name + formatExtension(format));
+      try {
+        const { data, source, cached } = await loadInsights(inputPath, { model, extractor, refresh, api, log });
+        // JSON inputs are not saved, and history problems never fail the card. The reports are
+        // usually other people's, so they stay out of the snapshots the next single run compares with.
+        let historyError;
+        if (history && source !== "json") {
+          try {
+            await saveSnapshot(data, { dir: defaultBatchHistoryDir(), source, name });
+          } catch (err) {
+            historyError = err instanceof Error ? err.message : String(err);
+          }
+        }
+        const card = await session.render(data, outputPath, { template, theme, format, ...size });
+        results.push({
+          name,
+          input: inputPath,
+          status: "ok",
+          output: outputPath,
+          source,
+          cached,
+          renderer: card.renderer,
+          width: card.width,
+          height: card.height,
+          fallbackReason: card.fallbackReason,
+          historyError,
+          data
+        });
+      } catch (err) {
+        results.push({
+          name,
+          input: inputPath,
+          status: "failed",
+          error: toUserMessage(err, inputPath),
+          exitCode: exitCodeFor(err)
+        });
+      }
+    }
+  } finally {
+    await session.close();
+    spinner.stop();
+  }
+
+  const indexPath = path.join(outputDir, IndexFileName);
+  await fs.writeFile(
+    indexPath,
+    JSON.stringify({ generatedAt: new Date().toISOString(), cards: results }, null, 2),
+    "utf8"
+  );
+
+  const rows = results.map((result) => [
+    result.name,
+    result.status,
+    result.status === "ok" ? path.basename(result.output) : result.error
+  ]);
+  console.log(formatTable(["Name", "Status", "Card"], rows, { align: ["left", "left", "left"] }));
+  const failures = results.filter((result) => result.status === "failed");
+  const failed = failures.length;
+  console.log(`\n${results.length - failed} cards generated, ${failed} failed. Index: ${indexPath}`);
+  for (const result of results.filter((item) => item.historyError)) {
+    console.warn(`costats: unable to save the history snapshot for ${result.name}: ${result.historyError}`);
+  }
+  const fallback = results.find((result) => result.fallbackReason);
+  if (fallback) {
+    console.warn("costats: Chromium is unavailable, used the native renderer: " + fallback.fallbackReason);
+  }
+  // Failures that share a cause exit with its code, mixed causes with the generic one
+  if (failed > 0) {
+    const codes = new Set(failures.map((result) => result.exitCode));
+    process.exitCode = codes.size === 1 ? failures[0].exitCode : ExitCodes.error;
+  }
+  return results;
+}
+
+// Accepts a file, a directory (every matching file inside it) or a glob such as reports/**/*.html
+export async function findReports(pattern, { extension = /\.html?$/i } = {}) {
+  const stat = await fs.stat(pattern).catch(() => null);
+  if (stat && stat.isFile()) {
+    return [path.resolve(pattern)];
+  }
+  if (stat && stat.isDirectory()) {
+    return (await listFiles(path.resolve(pattern))).filter((file) => extension.test(file)).sort();
+  }
+  const normalized = process.platform === "win32" ? pattern.replace(/\\/g, "/") : pattern;
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+  if (firstGlob === -1) {
+    return [];
+  }
+  const base = path.resolve(segments.slice(0, firstGlob).join("/") || ".");
+  const matcher = globToRegExp(segments.slice(firstGlob).join("/"));
+  const files = await listFiles(base);
+  return files.filter((file) => matcher.test(path.relative(base, file).split(path.sep).join("/"))).sort();
+}
+
+// Cards are named after the input file; report.html and insights.json take their folder name
+export function uniqueNames(inputs) {
+  const seen = new Map();
+  return inputs.map((inputPath) => {
+    const stem = path.basename(inputPath, path.extname(inputPath));
+    const raw = GenericStems.includes(stem.toLowerCase()) ? path.basename(path.dirname(inputPath)) : stem;
+    const base = raw.replace(/[^\w.-]+/g, "-") || "card";
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}-${count}`;
+  });
+}
+
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err && typeof err === "object" && (err.code === "ENOENT" || err.code === "ENOTDIR")) {
+      return [];
+    }
+    throw err;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath)));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Supports *, ? and ** (any number of folders)
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp("^" + source + "$");
+}
@@ -0,0 +1,27 @@
+import { clearCache, countCacheEntries } from "./cache.js";
+import { defaultCacheDir } from "./utils.js";
+
+export async function runCacheCommand(argv) {
+  const [action, ...rest] = argv;
+  if (!action || action === "-h" || action === "--help" || rest.includes("-h") || rest.includes("--help")) {
+    printHelp();
+    return;
+  }
+  if (action === "info") {
+    const count = await countCacheEntries();
+    console.log(`${count} cached ${count === 1 ? "extraction" : "extractions"} in ${defaultCacheDir()}`);
+    return;
+  }
+  if (action === "clear") {
+    const count = await clearCache();
+    console.log(`Removed ${count} cached ${count === 1 ? "extraction" : "extractions"} from ${defaultCacheDir()}`);
+    return;
+  }
+  throw new Error(`Unknown cache action: ${action}. Use info or clear`);
+}
+
+function printHelp() {
+  console.log(
+    `Costats Cache\n\nUsage:\n  costats cache info    Show how many extractions are cached\n  costats cache clear   Delete every cached extraction\n\nReports read with a model are cached in ${defaultCacheDir()}, keyed by a hash of the\nreport HTML, provider, API base URL, model, extractor and prompt version. Re-rendering an unchanged report,\ne.g. with another --theme, reuses the cached data without an API call.\nPass --refresh to costats ccinsights to extract again.`
+  );
+}
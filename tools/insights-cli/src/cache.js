@@ -0,0 +1,56 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { PromptVersion } from "./ai.js";
+import { validateInsights } from "./schema.js";
+import { defaultCacheDir } from "./utils.js";
+
+// Same report, provider, base URL, model, extractor and prompt version means the same extraction.
+// The base URL keeps two servers that serve a model under the same name apart.
+export function extractionCacheKey({ html, provider, baseUrl, model, extractor = "auto" }) {
+  return createHash("sha256")
+    .update([`v${PromptVersion}`, provider, baseUrl, model, extractor, html].join("\0"))
+    .digest("hex");
+}
+
+// A missing, unreadable or no longer valid entry is a cache miss
+export async function readCachedExtraction(key, { dir = defaultCacheDir() } = {}) {
+  try {
+    const entry = JSON.parse(await fs.readFile(cachePath(dir, key), "utf8"));
+    return { source: entry.source, data: validateInsights(entry.data) };
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCachedExtraction(key, { source, data }, { dir = defaultCacheDir() } = {}) {
+  await fs.mkdir(dir, { recursive: true });
+  const entry = { savedAt: new Date().toISOString(), promptVersion: PromptVersion, source, data };
+  await fs.writeFile(cachePath(dir, key), JSON.stringify(entry), "utf8");
+}
+
+// Returns how many entries were removed
+export async function clearCache({ dir = defaultCacheDir() } = {}) {
+  const entries = await listCacheEntries(dir);
+  await Promise.all(entries.map((name) => fs.rm(path.join(dir, name), { force: true })));
+  return entries.length;
+}
+
+export async function countCacheEntries({ dir = defaultCacheDir() } = {}) {
+  return (await listCacheEntries(dir)).length;
+}
+
+async function listCacheEntries(dir) {
+  try {
+    return (await fs.readdir(dir)).filter((name) => name.endsWith(".json"));
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      return [];
+    }
+    throw err;
+  }
+}
+
+function cachePath(dir, key) {
+  return path.join(dir, key + ".json");
+}
@@ -0,0 +1,64 @@
+import path from "node:path";
+import { findJsonlFiles, isWithinRange, readJsonLines, toTokenCount } from "./log-files.js";
+import { defaultClaudeProjectsDir } from "./utils.js";
+
+// Bound memory for very large log histories
+const MaxDedupeKeyCount = 250_000;
+
+// Reads Claude Code session logs (~/.claude/projects/**/*.jsonl) into normalized usage records.
+export async function readClaudeUsage({ logDir = defaultClaudeProjectsDir(), since, until } = {}) {
+  const modifiedSince = since ? new Date(Date.parse(since + "T00:00:00Z") - 24 * 60 * 60 * 1000) : undefined;
+  const files = await findJsonlFiles(logDir, { modifiedSince });
+  const records = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const fallbackSessionId = path.basename(file, ".jsonl");
+    const entries = readJsonLines(file, (line) => line.includes('"assistant"') && line.includes('"usage"'));
+    for await (const entry of entries) {
+      if (entry?.type !== "assistant" || !isWithinRange(entry.timestamp, { since, until })) {
+        continue;
+      }
+      const message = entry.message;
+      if (!message?.model || !message.usage) {
+        continue;
+      }
+
+      // Streaming writes the same message several times
+      if (message.id && entry.requestId) {
+        const key = message.id + ":" + entry.requestId;
+        if (seen.has(key)) {
+          continue;
+        }
+        if (seen.size >= MaxDedupeKeyCount) {
+          seen.clear();
+        }
+        seen.add(key);
+      }
+
+      const record = {
+        provider: "claude",
+        sessionId: entry.sessionId || fallbackSessionId,
+        timestamp: entry.timestamp,
+        model: message.model,
+        inputTokens: toTokenCount(message.usage.input_tokens),
+        outputTokens: toTokenCount(message.usage.output_tokens),
+        cacheReadTokens: toTokenCount(message.usage.cache_read_input_tokens),
+        cacheWriteTokens: toTokenCount(message.usage.cache_creation_input_tokens),
+        tools: extractToolNames(message.content)
+      };
+      if (record.inputTokens + record.outputTokens + record.cacheReadTokens + record.cacheWriteTokens === 0) {
+        continue;
+      }
+      records.push(record);
+    }
+  }
+  return records;
+}
+
+function extractToolNames(content) {
+  if (!Array.isArray(content)) {
+    return [];
+  }
+  return content.filter((block) => block?.type === "tool_use" && block.name).map((block) => block.name);
+}
@@ -1,7 +1,8 @@
+import { exitCodeFor } from "./errors.js";
 import { runCli } from "./index.js";
 
 runCli(process.argv.slice(2)).catch((err) => {
   const message = err instanceof Error ? err.message : String(err);
   console.error("costats: " + message);
-  process.exitCode = 1;
+  process.exitCode = exitCodeFor(err);
 });
@@ -0,0 +1,114 @@
+import path from "node:path";
+import { findJsonlFiles, isWithinRange, readJsonLines, toTokenCount } from "./log-files.js";
+import { defaultCodexSessionsDir } from "./utils.js";
+
+const DefaultModel = "gpt-5";
+const DayMs = 24 * 60 * 60 * 1000;
+// A session is filed under the day it started, so one that began the evening before --since
+// and ran into the range lives in an earlier folder; readSessionFile drops its older records
+const LeadDays = 1;
+
+// Reads Codex session logs (sessions/YYYY/MM/DD/*.jsonl) into the same records as readClaudeUsage.
+export async function readCodexUsage({ logDir = defaultCodexSessionsDir(), since, until } = {}) {
+  const files = since ? await findSessionFilesByDay(logDir, since, until) : await findJsonlFiles(logDir);
+  const records = [];
+  for (const file of files) {
+    // Each file is one session with its own cumulative totals
+    records.push(...(await readSessionFile(file, { since, until })));
+  }
+  return records;
+}
+
+async function readSessionFile(file, range) {
+  const records = [];
+  let sessionId = path.basename(file, ".jsonl");
+  let currentModel = null;
+  let previousTotals = { input: 0, cached: 0, output: 0 };
+  let pendingTools = [];
+
+  const entries = readJsonLines(
+    file,
+    (line) =>
+      line.includes("token_count") ||
+      line.includes("turn_context") ||
+      line.includes("session_meta") ||
+      line.includes("function_call")
+  );
+  for await (const entry of entries) {
+    const payload = entry?.payload;
+    if (!payload || typeof payload !== "object") {
+      continue;
+    }
+    if (entry.type === "session_meta") {
+      sessionId = payload.id || sessionId;
+      continue;
+    }
+    if (entry.type === "turn_context") {
+      currentModel = payload.model || payload.info?.model || currentModel;
+      continue;
+    }
+    if (entry.type === "response_item" && payload.type === "function_call" && payload.name) {
+      pendingTools.push(payload.name);
+      continue;
+    }
+    if (entry.type !== "event_msg" || payload.type !== "token_count") {
+      continue;
+    }
+
+    const info = payload.info && typeof payload.info === "object" ? payload.info : payload;
+    let delta;
+    if (info.last_token_usage && typeof info.last_token_usage === "object") {
+      delta = readTokenUsage(info.last_token_usage);
+    } else if (info.total_token_usage && typeof info.total_token_usage === "object") {
+      const totals = readTokenUsage(info.total_token_usage);
+      delta = {
+        input: Math.max(0, totals.input - previousTotals.input),
+        cached: Math.max(0, totals.cached - previousTotals.cached),
+        output: Math.max(0, totals.output - previousTotals.output)
+      };
+      previousTotals = totals;
+    } else {
+      continue;
+    }
+
+    if (!isWithinRange(entry.timestamp, range)) {
+      continue;
+    }
+    if (delta.input === 0 && delta.cached === 0 && delta.output === 0) {
+      continue;
+    }
+    // Cached input is reported as part of input
+    const cached = Math.min(delta.cached, delta.input);
+    records.push({
+      provider: "codex",
+      sessionId,
+      timestamp: entry.timestamp,
+      model: info.model || info.model_name || currentModel || DefaultModel,
+      inputTokens: Math.max(0, delta.input - cached),
+      outputTokens: delta.output,
+      cacheReadTokens: cached,
+      cacheWriteTokens: 0,
+      tools: pendingTools
+    });
+    pendingTools = [];
+  }
+  return records;
+}
+
+function readTokenUsage(usage) {
+  return {
+    input: toTokenCount(usage.input_tokens),
+    cached: toTokenCount(usage.cached_input_tokens) || toTokenCount(usage.cache_read_input_tokens),
+    output: toTokenCount(usage.output_tokens)
+  };
+}
+
+async function findSessionFilesByDay(logDir, since, until) {
+  const files = [];
+  const last = Date.parse((until || new Date().toISOString().slice(0, 10)) + "T00:00:00Z");
+  for (let day = Date.parse(since + "T00:00:00Z") - LeadDays * DayMs; day <= last; day += DayMs) {
+    const [year, month, date] = new Date(day).toISOString().slice(0, 10).split("-");
+    files.push(...(await findJsonlFiles(path.join(logDir, year, month, date))));
+  }
+  return files;
+}
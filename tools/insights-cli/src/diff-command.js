@@ -0,0 +1,110 @@
+import { compareSnapshots, listSnapshots, loadSnapshot } from "./history.js";
+import { defaultHistoryDir, formatDateRange, formatTable } from "./utils.js";
+
+export async function runDiffCommand(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  const historyOptions = { dir: options.historyDir };
+
+  if (options.list) {
+    const snapshots = await listSnapshots(historyOptions);
+    if (snapshots.length === 0) {
+      console.log(`No snapshots in ${options.historyDir || defaultHistoryDir()} yet. Each costats ccinsights run saves one.`);
+      return;
+    }
+    const rows = snapshots.map((snapshot) => [
+      snapshot.key,
+      formatDateRange(snapshot.data.dateRange.start, snapshot.data.dateRange.end),
+      snapshot.savedAt ? snapshot.savedAt.slice(0, 10) : "-"
+    ]);
+    console.log(formatTable(["Snapshot", "Period", "Saved"], rows, { align: ["left", "left", "left"] }));
+    return;
+  }
+
+  if (options.refs.length > 2) {
+    throw new Error("costats diff compares two snapshots, e.g. costats diff previous latest");
+  }
+  const [fromRef, toRef] = options.refs.length === 2 ? options.refs : [options.refs[0] || "previous", "latest"];
+  const before = await loadSnapshot(fromRef, historyOptions);
+  const after = await loadSnapshot(toRef, historyOptions);
+  const rows = compareSnapshots(before.data, after.data);
+
+  if (options.json) {
+    console.log(JSON.stringify({ from: describe(before), to: describe(after), metrics: rows }, null, 2));
+    return;
+  }
+  console.log(`${periodText(before)}  ->  ${periodText(after)}\n`);
+  console.log(
+    formatTable(
+      ["Metric", "Before", "After", "Change"],
+      rows.map((row) => [row.label, formatValue(row.key, row.before), formatValue(row.key, row.after), formatDelta(row)])
+    )
+  );
+}
+
+function describe(snapshot) {
+  return { key: snapshot.key, file: snapshot.file, dateRange: snapshot.data.dateRange };
+}
+
+function periodText(snapshot) {
+  return formatDateRange(snapshot.data.dateRange.start, snapshot.data.dateRange.end) || snapshot.key;
+}
+
+function formatValue(key, value) {
+  if (value === undefined) {
+    return "-";
+  }
+  if (key === "achievementRate") {
+    return Math.round(value * 100) + "%";
+  }
+  return key === "hours" ? value.toFixed(1) : String(Math.round(value));
+}
+
+// Rates change in percentage points, counts also show the relative change
+function formatDelta(row) {
+  if (row.delta === null) {
+    return "-";
+  }
+  if (row.delta === 0) {
+    return "0";
+  }
+  const sign = row.delta > 0 ? "+" : row.delta < 0 ? "-" : "";
+  if (row.key === "achievementRate") {
+    return sign + Math.round(Math.abs(row.delta) * 100) + " pts";
+  }
+  const amount = row.key === "hours" ? Math.abs(row.delta).toFixed(1) : String(Math.round(Math.abs(row.delta)));
+  const percent = row.before ? ` (${sign}${Math.round((Math.abs(row.delta) / row.before) * 100)}%)` : "";
+  return sign + amount + percent;
+}
+
+function parseArgs(args) {
+  const options = {
+    refs: []
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === "--list") {
+      options.list = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--history-dir") {
+      options.historyDir = args[++i];
+    } else if (arg.startsWith("--history-dir=")) {
+      options.historyDir = arg.split("=")[1];
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (!arg.startsWith("-")) {
+      options.refs.push(arg);
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(
+    `Costats Diff\n\nUsage:\n  costats diff                    Compare the previous snapshot with the latest\n  costats diff <from> [<to>]      Compare two snapshots (to defaults to latest)\n  costats diff --list             List saved snapshots\n\nEvery costats ccinsights run saves its extracted data to ${defaultHistoryDir()},\none snapshot per report period. A snapshot is a key from --list, latest, previous,\nor a path to a snapshot or --json file.\n\nOptions:\n  --json                Print the comparison as JSON\n  --history-dir <path>  Snapshot directory (default: ${defaultHistoryDir()})\n  -h, --help            Show help`
+  );
+}
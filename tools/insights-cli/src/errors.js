@@ -0,0 +1,66 @@
+// Typed failures with a distinct process exit code each, so scripts can tell a missing
+// login from a busy API. Anything else exits with 1.
+export const ExitCodes = {
+  error: 1,
+  auth: 2,
+  rateLimit: 3,
+  overloaded: 4,
+  invalidResponse: 5,
+  reportMissing: 6,
+  renderFailure: 7
+};
+
+export class CostatsError extends Error {
+  constructor(message, { code = "error", cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = ExitCodes[code] ?? ExitCodes.error;
+  }
+}
+
+// Missing, rejected or expired Claude credentials
+export class AuthError extends CostatsError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "auth" });
+  }
+}
+
+// 429 after every retry
+export class RateLimitError extends CostatsError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "rateLimit" });
+  }
+}
+
+// 529 or another 5xx after every retry
+export class OverloadedError extends CostatsError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "overloaded" });
+  }
+}
+
+// Claude answered, but not with insights JSON that passes the schema
+export class InvalidResponseError extends CostatsError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "invalidResponse" });
+  }
+}
+
+// The report.html input does not exist or is empty
+export class ReportMissingError extends CostatsError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "reportMissing" });
+  }
+}
+
+// Chromium or the native renderer could not draw the card
+export class RenderError extends CostatsError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "renderFailure" });
+  }
+}
+
+export function exitCodeFor(err) {
+  return err instanceof CostatsError ? err.exitCode : ExitCodes.error;
+}
@@ -0,0 +1,316 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DefaultLlmProvider, LlmProviders, PromptVersion, resolveApiOptions, resolveModel } from "./ai.js";
+import { defaultFixturesDir, listFixtures, scoreInsights, summarizeChecks } from "./eval.js";
+import { startEvalStub } from "./eval-stub.js";
+import { exitCodeFor } from "./errors.js";
+import { Extractors } from "./extract.js";
+import { loadInsights, readInsightsJson } from "./insights.js";
+import { defaultRedaction } from "./redact.js";
+import { formatValidationError, validateEvalRecording } from "./schema.js";
+import { formatTable } from "./utils.js";
+
+// Replayed answers need no credentials
+const ReplayAuth = { source: "recording", headers: {} };
+// --record without --extractor saves answers for both ways the model is used, so every fixture
+// gets a recording: auto sends only the sections the parser missed, llm the whole report
+const RecordedExtractors = ["auto", "llm"];
+
+export async function runEvalCommand(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  if (options.record && options.live) {
+    throw new Error("Use either --record or --live, not both");
+  }
+  if (options.extractor && !Extractors.includes(options.extractor)) {
+    throw new Error(`Unknown extractor: ${options.extractor}. Use one of: ${Extractors.join(", ")}`);
+  }
+  const minAccuracy = options.minAccuracy === undefined ? 1 : Number(options.minAccuracy);
+  if (!Number.isFinite(minAccuracy) || minAccuracy < 0 || minAccuracy > 1) {
+    throw new Error("--min-accuracy must be a number from 0 to 1");
+  }
+  const fixtures = await listFixtures(options.fixtures ? path.resolve(options.fixtures) : undefined);
+  // Recordings must replay on any machine, so the local username is not masked
+  const api = resolveApiOptions({
+    provider: options.llmProvider,
+    apiKeyFile: options.apiKeyFile,
+    baseUrl: options.llmBaseUrl,
+    timeout: options.timeout,
+    redaction: { ...defaultRedaction(), usernames: [] }
+  });
+  const mode = options.record ? "record" : options.live ? "live" : "replay";
+  const extractors = options.extractor ? [options.extractor] : mode === "record" ? RecordedExtractors : ["auto"];
+  const log = options.verbose ? (message) => console.error("costats: " + message) : undefined;
+
+  const stub =
+    mode === "live"
+      ? null
+      : await startEvalStub({ upstream: mode === "record" ? api.baseUrl : undefined, timeoutMs: api.timeoutMs });
+  const results = [];
+  try {
+    const runApi = stub ? { ...api, baseUrl: stub.url, auth: mode === "replay" ? ReplayAuth : undefined } : api;
+    for (const extractor of extractors) {
+      for (const fixture of fixtures) {
+        const result = await evaluateFixture(fixture, { options, extractor, mode, api: runApi, stub, log });
+        results.push(extractors.length > 1 ? { ...result, name: `${result.name} (${extractor})` } : result);
+      }
+    }
+  } finally {
+    await stub?.close();
+  }
+
+  // A failed fixture, e.g. one scored from stale answers, adds nothing to the accuracy
+  const failed = results.filter((result) => result.error);
+  const checks = results.filter((result) => !result.error).flatMap((result) => result.checks);
+  const matched = checks.filter((check) => check.match).length;
+  const accuracy = checks.length > 0 ? matched / checks.length : 0;
+  const passed = failed.length === 0 && accuracy >= minAccuracy;
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        {
+          provider: api.provider.name,
+          model: resolveModel(api, options.model),
+          extractors,
+          mode,
+          accuracy,
+          minAccuracy,
+          passed,
+          failedFixtures: failed.length,
+          fields: summarizeChecks(checks),
+          fixtures: results
+        },
+        null,
+        2
+      )
+    );
+  } else {
+    printReport(results, checks, {
+      accuracy,
+      matched,
+      failed: failed.length,
+      minAccuracy,
+      mode,
+      provider: api.provider.name
+    });
+  }
+  if (!passed) {
+    // Fixtures that all failed the same way (e.g. missing credentials for --record) keep that exit code
+    const sharedCode = failed.length > 0 && failed.every((result) => result.exitCode === failed[0].exitCode);
+    process.exitCode = sharedCode ? failed[0].exitCode : 1;
+  }
+}
+
+async function evaluateFixture(fixture, { options, extractor, mode, api, stub, log }) {
+  const recordingPath = path.join(fixture.dir, recordingFileName(api.provider.name, extractor));
+  const result = { name: fixture.name, extractor, source: null, model: "-", checks: [] };
+  try {
+    const expected = await readInsightsJson(fixture.expectedPath);
+    stub?.begin(mode === "replay" ? await readRecording(recordingPath) : null);
+    const { data, source } = await loadInsights(fixture.reportPath, {
+      model: options.model,
+      extractor,
+      cache: false,
+      api,
+      log
+    });
+    result.source = source;
+    result.checks = scoreInsights(expected, data);
+  } catch (err) {
+    result.error = err instanceof Error ? err.message : String(err);
+    result.exitCode = exitCodeFor(err);
+  }
+
+  const session = stub?.end();
+  if (mode === "live") {
+    result.model = result.source && result.source !== "local" ? "live" : "-";
+  } else if (session.requests === 0) {
+    result.model = "-";
+  } else if (mode === "record") {
+    // A failed run keeps the previous recording
+    result.model = result.error ? "not saved" : "recorded";
+    if (!result.error) {
+      await writeRecording(recordingPath, {
+        provider: api.provider.name,
+        model: resolveModel(api, options.model),
+        extractor,
+        promptVersion: PromptVersion,
+        recordedAt: new Date().toISOString(),
+        exchanges: session.exchanges
+      });
+    }
+  } else if (session.missing) {
+    result.model = "missing";
+    result.error =
+      `No recorded ${api.provider.name} answer in ${path.basename(recordingPath)}, ` +
+      `run costats eval --record --llm-provider ${api.provider.name}`;
+    result.exitCode = 1;
+  } else if (session.stale && !options.allowStale) {
+    // Scores from answers to a different request say nothing about the current prompt
+    result.model = "stale";
+    result.error =
+      `${path.basename(recordingPath)} was recorded for a different request (prompt, schema or model changed), ` +
+      `run costats eval --record --llm-provider ${api.provider.name} or pass --allow-stale`;
+    result.exitCode = 1;
+  } else {
+    result.model = session.stale ? "stale" : "replayed";
+  }
+  return result;
+}
+
+function printReport(results, checks, { accuracy, matched, failed, minAccuracy, mode, provider }) {
+  const fixtureRows = results.map((result) => {
+    const fixtureMatched = result.checks.filter((check) => check.match).length;
+    return [
+      result.name,
+      result.source || "-",
+      result.model,
+      result.error ? "-" : `${fixtureMatched}/${result.checks.length}`,
+      result.error ? "error" : formatPercent(result.checks.length > 0 ? fixtureMatched / result.checks.length : 0)
+    ];
+  });
+  console.log(
+    formatTable(["Fixture", "Source", "Model", "Matched", "Accuracy"], fixtureRows, {
+      align: ["left", "left", "left", "right", "right"]
+    })
+  );
+
+  const fieldRows = summarizeChecks(checks).map((row) => [
+    row.field,
+    row.checks,
+    row.matched,
+    formatPercent(row.accuracy)
+  ]);
+  if (fieldRows.length > 0) {
+    console.log("\n" + formatTable(["Field", "Checks", "Matched", "Accuracy"], fieldRows));
+  }
+
+  const misses = results.filter((result) => !result.error).flatMap((result) =>
+    result.checks.filter((check) => !check.match).map((check) => ({ fixture: result.name, ...check }))
+  );
+  if (misses.length > 0) {
+    console.log("\nMismatches:");
+    for (const miss of misses) {
+      console.log(`  ${miss.fixture}  ${miss.label}: expected ${formatValue(miss.expected)}, got ${formatValue(miss.actual)}`);
+    }
+  }
+  for (const result of results.filter((item) => item.error)) {
+    console.warn(`costats: ${result.name}: ${result.error}`);
+  }
+  const stale = results.filter((result) => result.model === "stale" && !result.error).length;
+  if (stale > 0) {
+    console.warn(
+      `costats: ${stale} ${stale === 1 ? "recording was" : "recordings were"} made for a different request ` +
+        `(prompt, schema or model changed), run costats eval --record --llm-provider ${provider} to refresh`
+    );
+  }
+  console.log(
+    `\nAccuracy: ${matched}/${checks.length} checks (${formatPercent(accuracy)}), minimum ${formatPercent(minAccuracy)}` +
+      `, ${failed} of ${results.length} ${results.length === 1 ? "fixture" : "fixtures"} failed` +
+      (mode === "replay" ? "" : `, ${mode} run`)
+  );
+}
+
+// recording-anthropic.json holds the answers for the default auto extractor,
+// recording-anthropic-llm.json those for --extractor llm
+function recordingFileName(provider, extractor) {
+  return `recording-${provider}${extractor === "auto" ? "" : `-${extractor}`}.json`;
+}
+
+async function readRecording(filePath) {
+  let json;
+  try {
+    json = await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Recording ${filePath} is not valid JSON: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  try {
+    return validateEvalRecording(parsed);
+  } catch (err) {
+    throw new Error(`Recording ${filePath} is invalid: ${formatValidationError(err)}`);
+  }
+}
+
+async function writeRecording(filePath, recording) {
+  await fs.writeFile(filePath, JSON.stringify(recording, null, 2) + "\n", "utf8");
+}
+
+function formatPercent(value) {
+  return Math.round(value * 1000) / 10 + "%";
+}
+
+function formatValue(value) {
+  return value === undefined ? "nothing" : JSON.stringify(value);
+}
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === "--fixtures") {
+      options.fixtures = args[++i];
+    } else if (arg.startsWith("--fixtures=")) {
+      options.fixtures = arg.split("=")[1];
+    } else if (arg === "--extractor") {
+      options.extractor = args[++i];
+    } else if (arg.startsWith("--extractor=")) {
+      options.extractor = arg.split("=")[1];
+    } else if (arg === "--model") {
+      options.model = args[++i];
+    } else if (arg.startsWith("--model=")) {
+      options.model = arg.split("=")[1];
+    } else if (arg === "--llm-provider") {
+      options.llmProvider = args[++i];
+    } else if (arg.startsWith("--llm-provider=")) {
+      options.llmProvider = arg.split("=")[1];
+    } else if (arg === "--llm-base-url" || arg === "--api-base-url") {
+      options.llmBaseUrl = args[++i];
+    } else if (arg.startsWith("--llm-base-url=") || arg.startsWith("--api-base-url=")) {
+      options.llmBaseUrl = arg.slice(arg.indexOf("=") + 1);
+    } else if (arg === "--api-key-file") {
+      options.apiKeyFile = args[++i];
+    } else if (arg.startsWith("--api-key-file=")) {
+      options.apiKeyFile = arg.split("=")[1];
+    } else if (arg === "--timeout") {
+      options.timeout = args[++i];
+    } else if (arg.startsWith("--timeout=")) {
+      options.timeout = arg.split("=")[1];
+    } else if (arg === "--min-accuracy") {
+      options.minAccuracy = args[++i];
+    } else if (arg.startsWith("--min-accuracy=")) {
+      options.minAccuracy = arg.split("=")[1];
+    } else if (arg === "--record") {
+      options.record = true;
+    } else if (arg === "--allow-stale") {
+      options.allowStale = true;
+    } else if (arg === "--live") {
+      options.live = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "-v" || arg === "--verbose") {
+      options.verbose = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(
+    `Costats Eval\n\nUsage:\n  costats eval [options]\n\nChecks extraction accuracy against golden reports: each fixture directory holds a report.html\nand the expected.json it should extract to. Counts must match exactly, rates and durations\nwithin a small tolerance; free text such as highlights and the roast is not scored.\n\nModel calls are answered by a local stub that replays recording-<provider>.json from the\nfixture (recording-<provider>-llm.json for --extractor llm), so a run needs no network or\ncredentials. A request that differs from the recorded one (prompt, schema or model changed)\nis stale and fails the run; --record refreshes the recordings.\n\nOptions:\n  --fixtures <dir>  Fixture directory (default: ${defaultFixturesDir()})\n  --extractor <${Extractors.join("|")}>\n                    How to read the reports (default: auto, both auto and llm for --record)\n  --record          Call the model and save its answers as the fixtures' recordings\n  --live            Call the model without replaying or saving recordings\n  --allow-stale     Score stale recordings with a warning instead of failing\n  --llm-provider <${LlmProviders.join("|")}>\n                    Model API to replay, record or call (default: ${DefaultLlmProvider})\n  --llm-base-url <url>\n                    Model API base URL for --record and --live\n  --model <name>    Model override, part of the recorded request\n  --api-key-file <path>\n                    File holding an API key for --record and --live\n  --timeout <seconds>\n                    Abort a model request after this long\n  --min-accuracy <0-1>\n                    Exit with 1 below this share of matched checks (default: 1)\n  --json            Print the results as JSON\n  -v, --verbose     Print model requests and redaction details\n  -h, --help        Show help`
+  );
+}
@@ -0,0 +1,109 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import { fetchWithTimeout } from "./http.js";
+
+// Headers not passed on when forwarding, the upstream connection sets its own
+const HopHeaders = ["host", "connection", "content-length", "transfer-encoding", "keep-alive", "accept-encoding"];
+
+// Local stand-in for the model API during costats eval. Replaying, it answers each request with the
+// next recorded response and notes when the request differs from the recorded one. Recording
+// (upstream set), it forwards requests to the real API and keeps the successful answers.
+export async function startEvalStub({ upstream, timeoutMs } = {}) {
+  let session = createSession(null);
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      sendJson(res, 502, { error: { message: err instanceof Error ? err.message : String(err) } });
+    });
+  });
+
+  async function handleRequest(req, res) {
+    const body = await readBody(req);
+    const requestHash = hashRequestBody(body);
+    session.requests += 1;
+    if (upstream) {
+      const response = await fetchWithTimeout(
+        upstream + req.url,
+        { method: req.method, headers: forwardedHeaders(req.headers), body },
+        { timeoutMs }
+      );
+      const text = await response.text();
+      if (response.ok) {
+        try {
+          session.exchanges.push({ requestHash, response: JSON.parse(text) });
+        } catch {
+          // Not JSON, the client reports it and nothing is recorded
+        }
+      }
+      const headers = { "content-type": response.headers.get("content-type") || "application/json" };
+      const retryAfter = response.headers.get("retry-after");
+      if (retryAfter) {
+        headers["retry-after"] = retryAfter;
+      }
+      res.writeHead(response.status, headers);
+      res.end(text);
+      return;
+    }
+
+    const exchange = session.recording?.exchanges[session.requests - 1];
+    if (!exchange) {
+      // 404 is not retried, so a missing answer fails the fixture right away
+      session.missing = true;
+      sendJson(res, 404, { error: { message: "No recorded response for this request" } });
+      return;
+    }
+    if (exchange.requestHash !== requestHash) {
+      session.stale = true;
+    }
+    sendJson(res, 200, exchange.response);
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    // Starts a fixture; recording holds the answers to replay, null when recording or when there are none
+    begin(recording) {
+      session = createSession(recording);
+    },
+    // What happened since begin: requests seen, stale or missing answers, and the recorded exchanges
+    end() {
+      return session;
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+
+function hashRequestBody(body) {
+  return crypto.createHash("sha256").update(body).digest("hex");
+}
+
+function createSession(recording) {
+  return { recording, requests: 0, stale: false, missing: false, exchanges: [] };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function forwardedHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !HopHeaders.includes(name.toLowerCase())));
+}
+
+function sendJson(res, status, json) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(json));
+}
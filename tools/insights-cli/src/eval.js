@@ -0,0 +1,164 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesRoot = path.join(__dirname, "..", "fixtures", "eval");
+
+// Counts and labels must match exactly; rates and durations may be off by the given amount.
+// Free text (title, highlights, roast, badge) is not scored.
+const ExactFields = [
+  "dateRange.start",
+  "dateRange.end",
+  "totals.messages",
+  "totals.sessions",
+  "totals.days",
+  "lines.added",
+  "lines.removed",
+  "filesTouched",
+  "multiFileChanges",
+  "frictionCount",
+  "multiClauding.overlapEvents",
+  "multiClauding.sessionsInvolved",
+  "peakPeriod"
+];
+const Tolerances = {
+  "totals.hours": 0.5,
+  messagesPerDay: 0.1,
+  achievementRate: 0.01,
+  medianResponseTime: 1,
+  "multiClauding.percentOfMessages": 0.5
+};
+// Lists of { name, count } scored item by item, matched by name
+const CountLists = ["tools", "outcomes", "satisfaction", "frictionCategories"];
+const LanguagePercentTolerance = 0.5;
+
+export function defaultFixturesDir() {
+  return fixturesRoot;
+}
+
+// A fixture is a directory holding report.html and the expected.json it should extract to,
+// plus recording-<provider>.json with the model answers costats eval replays
+export async function listFixtures(dir = fixturesRoot) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      throw new Error(`No eval fixtures directory at ${dir}`);
+    }
+    throw err;
+  }
+  const fixtures = [];
+  for (const entry of entries.filter((item) => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const fixtureDir = path.join(dir, entry.name);
+    const files = await fs.readdir(fixtureDir);
+    if (files.includes("report.html") && files.includes("expected.json")) {
+      fixtures.push({
+        name: entry.name,
+        dir: fixtureDir,
+        reportPath: path.join(fixtureDir, "report.html"),
+        expectedPath: path.join(fixtureDir, "expected.json")
+      });
+    }
+  }
+  if (fixtures.length === 0) {
+    throw new Error(`No eval fixtures in ${dir}, each needs a directory with report.html and expected.json`);
+  }
+  return fixtures;
+}
+
+// Compares every scored value the expected data has with the extracted data.
+// List items missing from either side count as misses.
+export function scoreInsights(expected, actual) {
+  const checks = [];
+  for (const field of ExactFields) {
+    const want = readPath(expected, field);
+    if (want !== undefined) {
+      const got = readPath(actual, field);
+      checks.push({ field, label: field, expected: want, actual: got, match: got === want });
+    }
+  }
+  for (const [field, tolerance] of Object.entries(Tolerances)) {
+    const want = readPath(expected, field);
+    if (want !== undefined) {
+      const got = readPath(actual, field);
+      checks.push({ field, label: field, expected: want, actual: got, match: withinTolerance(got, want, tolerance) });
+    }
+  }
+  for (const field of CountLists) {
+    if (expected[field] !== undefined) {
+      const matches = (want, got) => got.count === want.count;
+      checks.push(...scoreItems(field, expected[field], actual[field], matches, (item) => item.count));
+    }
+  }
+  if (expected.languages !== undefined) {
+    checks.push(
+      ...scoreItems(
+        "languages",
+        expected.languages,
+        actual.languages,
+        (want, got) =>
+          (want.lines === undefined || got.lines === want.lines) &&
+          (want.percentage === undefined || withinTolerance(got.percentage, want.percentage, LanguagePercentTolerance)),
+        (item) => (item.percentage === undefined ? item.lines : item.percentage + "%")
+      )
+    );
+  }
+  const hourCounts = expected.timeOfDay?.hourCounts;
+  if (hourCounts) {
+    const actualHours = actual.timeOfDay?.hourCounts || {};
+    for (const hour of new Set([...Object.keys(hourCounts), ...Object.keys(actualHours)])) {
+      // An hour one side leaves out counts as zero
+      const want = hourCounts[hour] ?? 0;
+      const got = actualHours[hour] ?? 0;
+      const label = `hourCounts[${hour}]`;
+      checks.push({ field: "timeOfDay.hourCounts", label, expected: want, actual: got, match: got === want });
+    }
+  }
+  return checks;
+}
+
+// Per-field totals across fixtures, in the order fields were first scored
+export function summarizeChecks(checks) {
+  const fields = new Map();
+  for (const check of checks) {
+    const row = fields.get(check.field) || { field: check.field, checks: 0, matched: 0 };
+    row.checks += 1;
+    row.matched += check.match ? 1 : 0;
+    fields.set(check.field, row);
+  }
+  return [...fields.values()].map((row) => ({ ...row, accuracy: row.matched / row.checks }));
+}
+
+function scoreItems(field, expectedItems, actualItems = [], matches, show) {
+  const byName = new Map(actualItems.map((item) => [normalizeName(item.name), item]));
+  const checks = expectedItems.map((want) => {
+    const got = byName.get(normalizeName(want.name));
+    byName.delete(normalizeName(want.name));
+    return {
+      field,
+      label: `${field}[${want.name}]`,
+      expected: show(want),
+      actual: got ? show(got) : undefined,
+      match: Boolean(got) && matches(want, got)
+    };
+  });
+  for (const extra of byName.values()) {
+    checks.push({ field, label: `${field}[${extra.name}]`, expected: undefined, actual: show(extra), match: false });
+  }
+  return checks;
+}
+
+function withinTolerance(actual, expected, tolerance) {
+  // The slack keeps 56.2 vs 56.1 within 0.1 despite floating point
+  return typeof actual === "number" && Math.abs(actual - expected) <= tolerance + 1e-9;
+}
+
+function readPath(data, field) {
+  return field.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase();
+}
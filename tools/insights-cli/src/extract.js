@@ -0,0 +1,57 @@
+import { buildInsightsRequest, generateInsightsFromHtml } from "./ai.js";
+import { parseReportHtml, SectionFields } from "./report-parser.js";
+
+export const Extractors = ["auto", "local", "llm"];
+
+const EmptyInsights = {
+  dateRange: { start: "", end: "" },
+  totals: { messages: 0, sessions: 0, days: 0 },
+  lines: { added: 0, removed: 0 },
+  filesTouched: 0,
+  tools: []
+};
+
+// auto: parse locally and only ask Claude for the sections that failed to parse.
+// local: never call Claude, unparsed sections fall back to empty values.
+// llm: send the whole report to Claude.
+// api (provider, credentials, base URL, timeout from resolveApiOptions) and log are passed through to the model call
+export async function extractInsights({ html, model, extractor = "auto", api, log }) {
+  assertExtractor(extractor);
+  if (extractor === "llm") {
+    const data = await generateInsightsFromHtml({ model, html, api, log });
+    return { data, source: "llm", unparsed: [] };
+  }
+
+  const { data, unparsed } = parseReportHtml(html);
+  if (unparsed.length === 0) {
+    return { data, source: "local", unparsed };
+  }
+  if (extractor === "local") {
+    return { data: { ...EmptyInsights, ...data }, source: "local", unparsed };
+  }
+
+  const fallback = await generateInsightsFromHtml({ model, html, api, log });
+  for (const section of unparsed) {
+    for (const field of SectionFields[section]) {
+      if (fallback[field] !== undefined) {
+        data[field] = fallback[field];
+      }
+    }
+  }
+  return { data: { ...EmptyInsights, ...data }, source: "mixed", unparsed };
+}
+
+// The request extractInsights would send for this report, or null when no model call is needed
+export function previewExtractionRequest({ html, model, extractor = "auto", api, log }) {
+  assertExtractor(extractor);
+  if (extractor === "local" || (extractor === "auto" && parseReportHtml(html).unparsed.length === 0)) {
+    return null;
+  }
+  return buildInsightsRequest({ model, html, api, log });
+}
+
+function assertExtractor(extractor) {
+  if (!Extractors.includes(extractor)) {
+    throw new Error(`Unknown extractor: ${extractor}. Use one of: ${Extractors.join(", ")}`);
+  }
+}
@@ -0,0 +1,120 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { formatValidationError, validateInsights } from "./schema.js";
+import { defaultHistoryDir } from "./utils.js";
+
+// Metrics compared by costats diff and the card's delta row
+export const DiffMetrics = [
+  { key: "hours", label: "Hours", value: (data) => data.totals.hours },
+  { key: "sessions", label: "Sessions", value: (data) => data.totals.sessions },
+  { key: "linesAdded", label: "Lines added", value: (data) => data.lines.added },
+  { key: "linesRemoved", label: "Lines removed", value: (data) => data.lines.removed },
+  { key: "achievementRate", label: "Achievement rate", value: (data) => data.achievementRate },
+  { key: "friction", label: "Friction", value: (data) => data.frictionCount }
+];
+
+// One file per report period, so a second run over the same dateRange replaces its snapshot.
+// Batch snapshots add the report name, as a batch holds many people's reports for one period.
+export function snapshotKey(dateRange, name) {
+  return [dateRange.start, dateRange.end, name].filter(Boolean).join("_").replace(/[^\w.-]+/g, "-");
+}
+
+export async function saveSnapshot(data, { dir = defaultHistoryDir(), source, name } = {}) {
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, snapshotKey(data.dateRange, name) + ".json");
+  const snapshot = { savedAt: new Date().toISOString(), source, name, data };
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2), "utf8");
+  return filePath;
+}
+
+// Oldest period first; unreadable files are skipped so one bad snapshot does not hide the rest.
+// Only the files directly in dir are read, so batch snapshots never count as the user's own.
+export async function listSnapshots({ dir = defaultHistoryDir() } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      return [];
+    }
+    throw err;
+  }
+  const snapshots = [];
+  for (const name of names.filter((entry) => entry.endsWith(".json"))) {
+    const snapshot = await readSnapshotFile(path.join(dir, name)).catch(() => null);
+    if (snapshot) {
+      snapshots.push(snapshot);
+    }
+  }
+  return snapshots.sort(
+    (a, b) =>
+      a.data.dateRange.end.localeCompare(b.data.dateRange.end) ||
+      a.data.dateRange.start.localeCompare(b.data.dateRange.start)
+  );
+}
+
+// The latest snapshot for a period that ended before this one, e.g. last month's report
+export async function findPreviousSnapshot(data, options) {
+  const key = snapshotKey(data.dateRange);
+  const earlier = (await listSnapshots(options)).filter(
+    (snapshot) => snapshot.key !== key && snapshot.data.dateRange.end < data.dateRange.end
+  );
+  return earlier[earlier.length - 1] || null;
+}
+
+// Accepts a snapshot key from costats diff --list, "latest", "previous", or a path to
+// a snapshot or --json file
+export async function loadSnapshot(ref, options) {
+  const snapshots = await listSnapshots(options);
+  if (ref === "latest" || ref === "previous") {
+    const snapshot = snapshots[snapshots.length - (ref === "latest" ? 1 : 2)];
+    if (!snapshot) {
+      throw new Error(`No ${ref} snapshot yet. Each costats ccinsights run saves one.`);
+    }
+    return snapshot;
+  }
+  const byKey = snapshots.find((snapshot) => snapshot.key === ref);
+  if (byKey) {
+    return byKey;
+  }
+  const stat = await fs.stat(ref).catch(() => null);
+  if (!stat || !stat.isFile()) {
+    throw new Error(`Unknown snapshot: ${ref}. Run costats diff --list to see saved snapshots.`);
+  }
+  return readSnapshotFile(path.resolve(ref));
+}
+
+// Rows of before, after and delta; delta is null when either side lacks the metric
+export function compareSnapshots(before, after) {
+  return DiffMetrics.map((metric) => {
+    const from = metric.value(before);
+    const to = metric.value(after);
+    const delta = from === undefined || to === undefined ? null : to - from;
+    return { key: metric.key, label: metric.label, before: from, after: to, delta };
+  });
+}
+
+async function readSnapshotFile(filePath) {
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    throw new Error(`Could not read snapshot ${filePath}: ${message}`);
+  }
+  // Snapshots wrap the data, --json files are the data itself
+  const isSnapshot = json && typeof json === "object" && "data" in json && "savedAt" in json;
+  let data;
+  try {
+    data = validateInsights(isSnapshot ? json.data : json);
+  } catch (err) {
+    throw new Error(`Snapshot ${filePath} is invalid: ${formatValidationError(err)}`);
+  }
+  return {
+    key: snapshotKey(data.dateRange, isSnapshot ? json.name : undefined),
+    file: filePath,
+    savedAt: isSnapshot ? json.savedAt : undefined,
+    source: isSnapshot ? json.source : undefined,
+    data
+  };
+}
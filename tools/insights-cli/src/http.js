@@ -0,0 +1,110 @@
+const proxyAgents = new Map();
+let undiciLoadPromise = null;
+const LoopbackHosts = ["localhost", "127.0.0.1", "[::1]"];
+
+// fetch with a timeout that aborts the request, routed through HTTPS_PROXY / HTTP_PROXY
+// unless NO_PROXY matches the host
+export async function fetchWithTimeout(url, init = {}, { timeoutMs } = {}) {
+  const proxy = resolveProxy(url);
+  const signal = timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined;
+  try {
+    if (proxy) {
+      // Node's built-in fetch ignores proxy variables, so proxied requests go through undici
+      const undici = await loadUndici();
+      return await undici.fetch(url, { ...init, signal, dispatcher: proxyAgent(undici, proxy) });
+    }
+    return await fetch(url, { ...init, signal });
+  } catch (err) {
+    if (err && typeof err === "object" && (err.name === "TimeoutError" || err.name === "AbortError")) {
+      throw new Error(`Request to ${new URL(url).host} timed out after ${timeoutMs / 1000}s`);
+    }
+    throw err;
+  }
+}
+
+// Waits retry-after (seconds or an HTTP date) when the response sends it, otherwise backs off
+// exponentially from baseMs with some jitter; never longer than maxMs
+export function retryDelayMs(response, attempt, { baseMs, maxMs }) {
+  const retryAfter = response.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delayMs)) {
+      return Math.min(Math.max(delayMs, 0), maxMs);
+    }
+  }
+  const backoffMs = baseMs * 2 ** attempt;
+  return Math.min(Math.round(backoffMs + Math.random() * backoffMs * 0.25), maxMs);
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Returns the proxy URL for a request, or null for a direct connection
+export function resolveProxy(url, env = process.env) {
+  const target = new URL(url);
+  const proxy =
+    target.protocol === "https:"
+      ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+      : env.HTTP_PROXY || env.http_proxy;
+  if (!proxy?.trim() || isNoProxy(target, env.NO_PROXY || env.no_proxy)) {
+    return null;
+  }
+  return proxy.trim();
+}
+
+// Hides proxy credentials in --verbose output
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.username || parsed.password) {
+      parsed.username = "***";
+      parsed.password = "";
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+// NO_PROXY is a comma list of hosts, .domain suffixes, host:port entries or *. Loopback hosts,
+// such as a gateway running on this machine, never go through the proxy.
+function isNoProxy(target, noProxy) {
+  const host = target.hostname.toLowerCase();
+  if (LoopbackHosts.includes(host)) {
+    return true;
+  }
+  if (!noProxy) {
+    return false;
+  }
+  const port = target.port || (target.protocol === "https:" ? "443" : "80");
+  return noProxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") {
+        return true;
+      }
+      const [entryHost, entryPort] = entry.toLowerCase().split(":");
+      if (entryPort && entryPort !== port) {
+        return false;
+      }
+      const suffix = entryHost.replace(/^\*?\./, "");
+      return host === suffix || host.endsWith("." + suffix);
+    });
+}
+
+function proxyAgent(undici, proxy) {
+  if (!proxyAgents.has(proxy)) {
+    proxyAgents.set(proxy, new undici.ProxyAgent(proxy));
+  }
+  return proxyAgents.get(proxy);
+}
+
+async function loadUndici() {
+  if (!undiciLoadPromise) {
+    undiciLoadPromise = import("undici");
+  }
+  return undiciLoadPromise;
+}
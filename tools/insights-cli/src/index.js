@@ -1,11 +1,31 @@
 import fs from "node:fs/promises";
 import path from "node:path";
-import open from "open";
 import ora from "ora";
-import { generateInsightsFromHtml } from "./ai.js";
-import { renderCard } from "./render.js";
-import { validateInsights } from "./schema.js";
-import { defaultOutputPath, defaultReportPath } from "./utils.js";
+import { DefaultLlmProvider, DefaultTimeoutSeconds, LlmProviders, resolveApiOptions } from "./ai.js";
+import { runInsightsBatch } from "./batch.js";
+import { runCacheCommand } from "./cache-command.js";
+import { runDiffCommand } from "./diff-command.js";
+import { ExitCodes, exitCodeFor } from "./errors.js";
+import { runEvalCommand } from "./eval-command.js";
+import { findPreviousSnapshot, saveSnapshot } from "./history.js";
+import { loadInsights, previewInsightsRequest, toUserMessage } from "./insights.js";
+import { OutputFormats, resolveOutputFormat, withFormatExtension } from "./output-formats.js";
+import { loadRedaction } from "./redact.js";
+import { Renderers, Scales, formatCardSize, renderCard, resolveRenderSize, resolveRenderer } from "./render.js";
+import { runTeamCommand } from "./team-command.js";
+import { runTemplatesCommand } from "./templates-command.js";
+import { BuiltInTemplates, DefaultTemplate, loadTemplate } from "./templates.js";
+import { DefaultTheme, Themes, accentContrastWarning, resolveTheme } from "./themes.js";
+import { runUsageCommand } from "./usage-command.js";
+import {
+  createVerboseLog,
+  defaultBatchOutputDir,
+  defaultHistoryDir,
+  defaultOutputPath,
+  defaultRedactionPath,
+  defaultReportPath,
+  openOutput
+} from "./utils.js";
 
 export async function runCli(argv) {
   const [command, ...rest] = argv;
@@ -14,6 +34,30 @@ export async function runCli(argv) {
     return;
   }
   const normalizedCommand = command === "ccinsights" ? "insights" : command;
+  if (normalizedCommand === "usage") {
+    await runUsageCommand(rest);
+    return;
+  }
+  if (normalizedCommand === "cache") {
+    await runCacheCommand(rest);
+    return;
+  }
+  if (normalizedCommand === "diff") {
+    await runDiffCommand(rest);
+    return;
+  }
+  if (normalizedCommand === "team") {
+    await runTeamCommand(rest);
+    return;
+  }
+  if (normalizedCommand === "eval") {
+    await runEvalCommand(rest);
+    return;
+  }
+  if (normalizedCommand === "templates") {
+    await runTemplatesCommand(rest);
+    return;
+  }
   if (normalizedCommand !== "insights") {
     throw new Error(`Unknown command: ${command}`);
   }
@@ -24,8 +68,61 @@ export async function runCli(argv) {
     return;
   }
 
-  const inputPath = options.input || defaultReportPath();
-  const outputPath = path.resolve(options.output || defaultOutputPath());
+  const template = await loadTemplate(options.template);
+  const theme = resolveTheme({ theme: options.theme, accent: options.accent });
+  const accentWarning = accentContrastWarning(theme);
+  if (accentWarning) {
+    console.warn("costats: " + accentWarning);
+  }
+  if (options.input && options.fromJson) {
+    throw new Error("Use either --input or --from-json, not both");
+  }
+  const api = resolveApiOptions({
+    provider: options.llmProvider,
+    apiKeyFile: options.apiKeyFile,
+    baseUrl: options.llmBaseUrl,
+    timeout: options.timeout,
+    redaction: await loadRedaction({ patterns: options.redact, enabled: options.redaction })
+  });
+  if (options.dryRunPrompt) {
+    if (options.batch || options.fromJson) {
+      throw new Error("--dry-run-prompt works on a single report, not with --batch or --from-json");
+    }
+    const log = options.verbose ? (message) => console.error("costats: " + message) : undefined;
+    const preview = await previewInsightsRequest(options.input || defaultReportPath(), { ...options, api, log });
+    console.log(
+      preview ? formatRequestPreview(preview) : "Nothing would be sent: every section of the report parses locally."
+    );
+    return;
+  }
+  if (options.batch) {
+    if (options.input || options.fromJson) {
+      throw new Error("Use either --input or --batch, not both");
+    }
+    const format = resolveOutputFormat({ format: options.format, fallback: template.format });
+    await runInsightsBatch({
+      pattern: options.batch,
+      outputDir: path.resolve(options.output || defaultBatchOutputDir()),
+      model: options.model,
+      extractor: options.extractor,
+      refresh: options.refresh,
+      api,
+      history: options.history,
+      verbose: options.verbose,
+      template,
+      theme,
+      format,
+      renderer: resolveRenderer(options.renderer, { template, format }),
+      size: resolveRenderSize({ scale: options.scale, width: options.width })
+    });
+    return;
+  }
+
+  const inputPath = options.fromJson || options.input || defaultReportPath();
+  const format = resolveOutputFormat({ format: options.format, outputPath: options.output, fallback: template.format });
+  const outputPath = path.resolve(options.output || withFormatExtension(defaultOutputPath(), format));
+  const size = resolveRenderSize({ scale: options.scale, width: options.width });
+  const renderer = resolveRenderer(options.renderer, { template, format });
   await fs.mkdir(path.dirname(outputPath), { recursive: true });
 
   const spinner = ora({
@@ -33,46 +130,83 @@ export async function runCli(argv) {
     spinner: "dots",
     isEnabled: Boolean(process.stdout.isTTY)
   }).start();
+  const log = createVerboseLog(spinner, options.verbose);
   try {
-    const html = await readReport(inputPath);
-    let finalData = await generateInsightsFromHtml({
-      model: options.model,
-      html
+    const { data: finalData, source } = await loadInsights(inputPath, {
+      ...options,
+      fromJson: Boolean(options.fromJson),
+      api,
+      log
     });
 
-    finalData = applyDerivedFields(finalData);
-    finalData = validateInsights(finalData);
-
     if (options.json) {
       const jsonPath = path.resolve(options.json);
       await fs.writeFile(jsonPath, JSON.stringify(finalData, null, 2), "utf8");
     }
 
-    await renderCard(finalData, outputPath);
-
-    let openError = null;
-    if (options.open) {
+    // Look up the earlier period before this run's snapshot is saved; history problems never fail the card.
+    // JSON inputs are compared but not saved, they may be hand-edited or someone else's data.
+    let previous = null;
+    let historyError = null;
+    if (options.history) {
       try {
-        await open(outputPath, { wait: false });
+        previous = await findPreviousSnapshot(finalData);
+        if (source !== "json") {
+          await saveSnapshot(finalData, { source });
+        }
       } catch (err) {
-        openError = err;
+        historyError = err;
       }
     }
 
-    spinner.succeed(`Card generated: ${outputPath}`);
+    const card = await renderCard(finalData, outputPath, {
+      template,
+      theme,
+      format,
+      renderer,
+      previous: previous?.data,
+      ...size
+    });
+
+    const openError = options.open ? await openOutput(outputPath) : null;
+
+    spinner.succeed(`Card generated: ${outputPath}${formatCardSize(card)}`);
     if (openError) {
       const message = openError instanceof Error ? openError.message : String(openError);
       console.warn("costats: unable to open the image: " + message);
     }
+    if (card.fallbackReason) {
+      console.warn("costats: Chromium is unavailable, used the native renderer: " + card.fallbackReason);
+    }
+    if (historyError) {
+      const message = historyError instanceof Error ? historyError.message : String(historyError);
+      console.warn("costats: unable to save the history snapshot: " + message);
+    }
   } catch (err) {
     spinner.fail(toUserMessage(err, inputPath));
-    process.exitCode = 1;
+    process.exitCode = exitCodeFor(err);
   }
 }
 
+// Method, URL, the non-secret headers and the JSON body, for --dry-run-prompt
+function formatRequestPreview(preview) {
+  const headers = Object.entries({ "content-type": "application/json", ...preview.headers }).map(
+    ([name, value]) => `${name}: ${value}`
+  );
+  return [
+    `POST ${preview.url}`,
+    ...headers,
+    "(credential headers are added when the request is sent)",
+    "",
+    JSON.stringify(preview.body, null, 2)
+  ].join("\n");
+}
+
 function parseArgs(args) {
   const options = {
-    open: true
+    open: true,
+    history: true,
+    redaction: true
   };
   for (let i = 0; i < args.length; i += 1) {
     const arg = args[i];
@@ -80,10 +214,22 @@ function parseArgs(args) {
       options.input = args[++i];
     } else if (arg.startsWith("--input=")) {
       options.input = arg.split("=")[1];
+    } else if (arg === "--from-json") {
+      options.fromJson = args[++i];
+    } else if (arg.startsWith("--from-json=")) {
+      options.fromJson = arg.split("=")[1];
+    } else if (arg === "--batch") {
+      options.batch = args[++i];
+    } else if (arg.startsWith("--batch=")) {
+      options.batch = arg.split("=")[1];
     } else if (arg === "--output") {
       options.output = args[++i];
     } else if (arg.startsWith("--output=")) {
       options.output = arg.split("=")[1];
+    } else if (arg === "--format") {
+      options.format = args[++i];
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.split("=")[1];
     } else if (arg === "--json") {
       options.json = args[++i];
     } else if (arg.startsWith("--json=")) {
@@ -92,6 +238,64 @@ function parseArgs(args) {
       options.model = args[++i];
     } else if (arg.startsWith("--model=")) {
       options.model = arg.split("=")[1];
+    } else if (arg === "--extractor") {
+      options.extractor = args[++i];
+    } else if (arg.startsWith("--extractor=")) {
+      options.extractor = arg.split("=")[1];
+    } else if (arg === "--template") {
+      options.template = args[++i];
+    } else if (arg.startsWith("--template=")) {
+      options.template = arg.split("=")[1];
+    } else if (arg === "--theme") {
+      options.theme = args[++i];
+    } else if (arg.startsWith("--theme=")) {
+      options.theme = arg.split("=")[1];
+    } else if (arg === "--accent") {
+      options.accent = args[++i];
+    } else if (arg.startsWith("--accent=")) {
+      options.accent = arg.split("=")[1];
+    } else if (arg === "--scale") {
+      options.scale = args[++i];
+    } else if (arg.startsWith("--scale=")) {
+      options.scale = arg.split("=")[1];
+    } else if (arg === "--width") {
+      options.width = args[++i];
+    } else if (arg.startsWith("--width=")) {
+      options.width = arg.split("=")[1];
+    } else if (arg === "--renderer") {
+      options.renderer = args[++i];
+    } else if (arg.startsWith("--renderer=")) {
+      options.renderer = arg.split("=")[1];
+    } else if (arg === "--api-key-file") {
+      options.apiKeyFile = args[++i];
+    } else if (arg.startsWith("--api-key-file=")) {
+      options.apiKeyFile = arg.split("=")[1];
+    } else if (arg === "--llm-provider") {
+      options.llmProvider = args[++i];
+    } else if (arg.startsWith("--llm-provider=")) {
+      options.llmProvider = arg.split("=")[1];
+    } else if (arg === "--llm-base-url" || arg === "--api-base-url") {
+      options.llmBaseUrl = args[++i];
+    } else if (arg.startsWith("--llm-base-url=") || arg.startsWith("--api-base-url=")) {
+      options.llmBaseUrl = arg.slice(arg.indexOf("=") + 1);
+    } else if (arg === "--timeout") {
+      options.timeout = args[++i];
+    } else if (arg.startsWith("--timeout=")) {
+      options.timeout = arg.split("=")[1];
+    } else if (arg === "--verbose" || arg === "-v") {
+      options.verbose = true;
+    } else if (arg === "--refresh") {
+      options.refresh = true;
+    } else if (arg === "--redact") {
+      options.redact = [...(options.redact || []), args[++i]];
+    } else if (arg.startsWith("--redact=")) {
+      options.redact = [...(options.redact || []), arg.slice("--redact=".length)];
+    } else if (arg === "--no-redact") {
+      options.redaction = false;
+    } else if (arg === "--dry-run-prompt") {
+      options.dryRunPrompt = true;
+    } else if (arg === "--no-history") {
+      options.history = false;
     } else if (arg === "--no-open") {
       options.open = false;
     } else if (arg === "--open") {
@@ -103,61 +307,10 @@ function parseArgs(args) {
   return options;
 }
 
-function applyDerivedFields(data) {
-  const outcomes = data.outcomes || [];
-  if ((!data.achievementRate || data.achievementRate === 0) && outcomes.length > 0) {
-    const total = outcomes.reduce((sum, item) => sum + item.count, 0);
-    if (total > 0) {
-      const achieved = outcomes
-        .filter((item) => /fully|mostly/i.test(item.name))
-        .reduce((sum, item) => sum + item.count, 0);
-      data.achievementRate = achieved / total;
-    }
-  }
-  if (data.achievementRate && data.achievementRate > 1) {
-    data.achievementRate = data.achievementRate / 100;
-  }
-  return data;
-}
-
-async function readReport(inputPath) {
-  try {
-    await fs.stat(inputPath);
-  } catch (err) {
-    if (err && typeof err === "object" && err.code === "ENOENT") {
-      throw new Error(
-        `No Claude Code insights report found at ${inputPath}. Run /insights in Claude Code first.`
-      );
-    }
-    throw err;
-  }
-  const html = await fs.readFile(inputPath, "utf8");
-  if (!html.trim()) {
-    throw new Error(
-      `Claude Code insights report at ${inputPath} is empty. Run /insights in Claude Code again.`
-    );
-  }
-  return html;
-}
-
-function toUserMessage(err, inputPath) {
-  const message = err instanceof Error ? err.message : String(err);
-  if (message.includes("Claude OAuth credentials not found")) {
-    return "Claude Code is not signed in. Open Claude Code and sign in, then retry.";
-  }
-  if (message.includes("Claude OAuth token expired")) {
-    return "Claude Code sign-in expired. Re-authenticate in Claude Code, then retry.";
-  }
-  if (message.includes("ENOENT") && message.includes(inputPath)) {
-    return `No Claude Code insights report found at ${inputPath}. Run /insights in Claude Code first.`;
-  }
-  return message;
-}
-
 function printHelp() {
   const defaultInput = defaultReportPath();
   const defaultOutput = defaultOutputPath();
   console.log(
-    `Costats Insights Card CLI\n\nDefault run:\n  npx costats ccinsights\n\nUsage:\n  costats insights [options]\n  costats ccinsights [options]\n\nOptions:\n  --input <path>   Path to report.html (default: ${defaultInput})\n  --output <path>  Output PNG path (default: ${defaultOutput})\n  --json <path>    Write extracted JSON to this file\n  --model <name>   Claude model override\n  --no-open        Do not open the generated image\n  -h, --help       Show help\n\nRequires Claude OAuth credentials in ~/.claude/.credentials.json`
+    `Costats Insights Card CLI\n\nDefault run:\n  npx costats ccinsights\n\nUsage:\n  costats insights [options]\n  costats ccinsights [options]\n  costats usage [options]      Usage stats from Claude Code or Codex session logs (see costats usage --help)\n  costats cache <info|clear>   Show or delete cached Claude extractions\n  costats diff [from] [to]     Compare two saved insights snapshots (see costats diff --help)\n  costats team <json>...       Team leaderboard card from several --json outputs (see costats team --help)\n  costats templates [options]  List card templates and placeholders (see costats templates --help)\n  costats eval [options]       Check extraction accuracy against golden reports (see costats eval --help)\n\nOptions:\n  --input <path>   Path to report.html, or a .json file from --json (default: ${defaultInput})\n  --from-json <path>\n                   Render from a --json file without reading a report or calling a model\n  --batch <dir|glob>\n                   Render one card per report, e.g. reports/ or "reports/**/*.html"\n  --output <path>  Output path, the extension picks the format (default: ${defaultOutput})\n                   With --batch, the output directory (default: ${defaultBatchOutputDir()})\n  --format <${OutputFormats.join("|")}>\n                   Output format, overrides the --output extension (default: png)\n  --json <path>    Write extracted JSON to this file\n  --model <name>   Model override (default: claude-haiku-4-5, gpt-4o-mini for --llm-provider openai)\n  --extractor <auto|local|llm>\n                   How to read the report (default: auto, the model only for unparsed sections)\n  --llm-provider <${LlmProviders.join("|")}>\n                   Model API used for extraction, openai covers any OpenAI-compatible server\n                   such as Ollama or llama.cpp (default: ${DefaultLlmProvider})\n  --llm-base-url <url>\n                   Model API base URL, e.g. a gateway or http://localhost:11434/v1 (default: COSTATS_API_BASE_URL\n                   or https://api.anthropic.com, OPENAI_BASE_URL or https://api.openai.com/v1 for openai)\n  --api-key-file <path>\n                   File holding an API key, used instead of ANTHROPIC_API_KEY / OPENAI_API_KEY or the Claude Code login\n  --timeout <seconds>\n                   Abort a model request after this long (default: ${DefaultTimeoutSeconds})\n  --redact <regex> Also mask text matching this regex before it is sent to the model, repeatable\n  --no-redact      Send the report text without masking paths, usernames, repos, project names and emails\n  --dry-run-prompt Print the request that would be sent to the model and exit\n  --refresh        Ask the model again instead of reusing the cached extraction of an unchanged report\n  --template <name|dir>\n                   Card layout: ${BuiltInTemplates.join(", ")} or a template directory (default: ${DefaultTemplate})\n  --theme <${Themes.join("|")}>\n                   Card colors, auto follows the system setting (default: ${DefaultTheme})\n  --accent <hex>   Accent color, e.g. #22c55e\n  --scale <${Scales.join("|")}>  Pixel density, 2 for retina screens and social previews (default: 1)\n  --width <px>     Card width, the layout reflows to fit (default: template width)\n  --renderer <${Renderers.join("|")}>\n                   chromium renders any template, native draws the roast card as png or svg\n                   without a browser (default: auto, native when Chromium cannot be installed)\n  --no-history     Do not save this run to ${defaultHistoryDir()}\n  --no-open        Do not open the generated image\n  -v, --verbose    Print which model credentials and cache entries are used, and the report size in tokens\n  -h, --help       Show help\n\nA model is needed unless --extractor local is used. Claude credentials are taken from --api-key-file,\nthen ANTHROPIC_API_KEY, then the Claude Code login in ~/.claude/.credentials.json. The openai provider\nuses --api-key-file or OPENAI_API_KEY, and local servers need neither. --api-base-url is an alias of --llm-base-url.\nBefore anything is sent, absolute paths, usernames, repo and project names, emails, URLs and the patterns in\n--redact and ${defaultRedactionPath()} ({ "patterns": [...] }) are masked.\nRequests honor HTTPS_PROXY, HTTP_PROXY and NO_PROXY. Rate limited (429) and overloaded (529, 5xx)\nrequests are retried with backoff.\n\nExit codes:\n  ${ExitCodes.auth}  Model credentials missing, expired or rejected\n  ${ExitCodes.rateLimit}  Model rate limit reached\n  ${ExitCodes.overloaded}  Model API overloaded or unavailable\n  ${ExitCodes.invalidResponse}  Model response was not valid insights data\n  ${ExitCodes.reportMissing}  Report not found or empty\n  ${ExitCodes.renderFailure}  Card could not be rendered\n  ${ExitCodes.error}  Any other error`
   );
 }
@@ -0,0 +1,114 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { resolveApiOptions, resolveModel } from "./ai.js";
+import { extractionCacheKey, readCachedExtraction, writeCachedExtraction } from "./cache.js";
+import { CostatsError, ReportMissingError } from "./errors.js";
+import { extractInsights, previewExtractionRequest } from "./extract.js";
+import { formatValidationError, validateInsights } from "./schema.js";
+
+// Reads one report.html and returns validated card data plus where it came from (local, llm or mixed).
+// Model results are cached by report content, provider, base URL and model; refresh skips the cache lookup
+// and cache: false (costats eval) neither reads nor writes it.
+// A .json input (or fromJson) is data written by --json and is used as is, source "json".
+export async function loadInsights(
+  inputPath,
+  { model, extractor, refresh = false, cache = true, fromJson = false, api, log } = {}
+) {
+  if (fromJson || path.extname(inputPath).toLowerCase() === ".json") {
+    return { data: await readInsightsJson(inputPath), source: "json", cached: false };
+  }
+  const html = await readReport(inputPath);
+  const llm = api || resolveApiOptions();
+  const cacheKey = extractionCacheKey({
+    html,
+    provider: llm.provider.name,
+    baseUrl: llm.baseUrl,
+    model: resolveModel(llm, model),
+    extractor
+  });
+  const cached = refresh || !cache ? null : await readCachedExtraction(cacheKey);
+  if (cached) {
+    log?.("Using the cached extraction, pass --refresh to ask the model again");
+    return { data: cached.data, source: cached.source, cached: true };
+  }
+  const extraction = await extractInsights({ model, extractor, html, api: llm, log });
+  const data = validateInsights(applyDerivedFields(extraction.data));
+  // Local parses cost nothing and should pick up parser fixes, so only model results are kept
+  if (cache && extraction.source !== "local") {
+    await writeCachedExtraction(cacheKey, { source: extraction.source, data }).catch(() => {});
+  }
+  return { data, source: extraction.source, cached: false };
+}
+
+// What --dry-run-prompt prints: the model request for this report, or null when it parses locally
+export async function previewInsightsRequest(inputPath, { model, extractor, api, log } = {}) {
+  const html = await readReport(inputPath);
+  return previewExtractionRequest({ html, model, extractor, api, log });
+}
+
+function applyDerivedFields(data) {
+  const outcomes = data.outcomes || [];
+  if ((!data.achievementRate || data.achievementRate === 0) && outcomes.length > 0) {
+    const total = outcomes.reduce((sum, item) => sum + item.count, 0);
+    if (total > 0) {
+      const achieved = outcomes
+        .filter((item) => /fully|mostly/i.test(item.name))
+        .reduce((sum, item) => sum + item.count, 0);
+      data.achievementRate = achieved / total;
+    }
+  }
+  if (data.achievementRate && data.achievementRate > 1) {
+    data.achievementRate = data.achievementRate / 100;
+  }
+  return data;
+}
+
+// Skips extraction entirely, so hand-edited data and other people's --json files render without credentials
+export async function readInsightsJson(filePath) {
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      throw new ReportMissingError(`No insights JSON found at ${filePath}`);
+    }
+    const message = err instanceof Error ? err.message : String(err);
+    throw new Error(`Could not read insights JSON ${filePath}: ${message}`);
+  }
+  try {
+    return validateInsights(json && typeof json === "object" ? applyDerivedFields(json) : json);
+  } catch (err) {
+    throw new Error(`Insights JSON ${filePath} is invalid: ${formatValidationError(err)}`);
+  }
+}
+
+async function readReport(inputPath) {
+  try {
+    await fs.stat(inputPath);
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      throw new ReportMissingError(reportMissingMessage(inputPath));
+    }
+    throw err;
+  }
+  const html = await fs.readFile(inputPath, "utf8");
+  if (!html.trim()) {
+    throw new ReportMissingError(
+      `Claude Code insights report at ${inputPath} is empty. Run /insights in Claude Code again.`
+    );
+  }
+  return html;
+}
+
+// Typed errors already carry the message to show; a stray ENOENT for the input still points at /insights
+export function toUserMessage(err, inputPath) {
+  const message = err instanceof Error ? err.message : String(err);
+  if (!(err instanceof CostatsError) && message.includes("ENOENT") && message.includes(inputPath)) {
+    return reportMissingMessage(inputPath);
+  }
+  return message;
+}
+
+function reportMissingMessage(inputPath) {
+  return `No Claude Code insights report found at ${inputPath}. Run /insights in Claude Code first.`;
+}
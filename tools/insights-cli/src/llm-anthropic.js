@@ -0,0 +1,85 @@
+import { AuthError, InvalidResponseError } from "./errors.js";
+import { isExpired, loadClaudeCredentials, refreshClaudeCredentials } from "./oauth.js";
+import { readApiKeyFile } from "./utils.js";
+
+const BetaHeader = "oauth-2025-04-20";
+
+// Anthropic Messages API. Turns are the provider-neutral conversation built in ai.js:
+// { role: "user", text }, { role: "assistant", toolCall: { id, name, input } } and
+// { role: "tool", toolCallId, text, isError }.
+export const AnthropicProvider = {
+  name: "anthropic",
+  label: "Claude",
+  defaultBaseUrl: "https://api.anthropic.com",
+  baseUrlEnv: "COSTATS_API_BASE_URL",
+  defaultModel: "claude-haiku-4-5",
+  resolveAuth: resolveClaudeAuth,
+  buildRequest,
+  readToolCall
+};
+
+function buildRequest({ model, system, tool, turns, maxTokens, temperature }) {
+  return {
+    path: "/v1/messages",
+    headers: { "anthropic-version": "2023-06-01" },
+    body: {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      system,
+      tools: [{ name: tool.name, description: tool.description, input_schema: tool.schema }],
+      tool_choice: { type: "tool", name: tool.name },
+      messages: turns.map(toMessage)
+    }
+  };
+}
+
+function toMessage(turn) {
+  if (turn.role === "assistant") {
+    const { id, name, input } = turn.toolCall;
+    return { role: "assistant", content: [{ type: "tool_use", id, name, input }] };
+  }
+  if (turn.role === "tool") {
+    return {
+      role: "user",
+      content: [{ type: "tool_result", tool_use_id: turn.toolCallId, is_error: turn.isError, content: turn.text }]
+    };
+  }
+  return { role: "user", content: [{ type: "text", text: turn.text }] };
+}
+
+// A reply cut off at max_tokens has no complete tool call to validate
+function readToolCall(responseJson, toolName) {
+  const toolUse = responseJson?.content?.find((block) => block.type === "tool_use" && block.name === toolName);
+  if (!toolUse) {
+    const reason = responseJson?.stop_reason === "max_tokens" ? "it ran out of tokens" : "it did not call the tool";
+    throw new InvalidResponseError(`Claude returned an unusable response: ${reason}`);
+  }
+  return { id: toolUse.id, name: toolUse.name, input: toolUse.input };
+}
+
+// An explicit --api-key-file wins over ANTHROPIC_API_KEY, which wins over the Claude Code login.
+// API keys use x-api-key, OAuth tokens use a bearer token with the OAuth beta header.
+export async function resolveClaudeAuth({ apiKeyFile, log } = {}) {
+  if (apiKeyFile) {
+    return { source: "--api-key-file", headers: { "x-api-key": await readApiKeyFile(apiKeyFile) } };
+  }
+  const envKey = process.env.ANTHROPIC_API_KEY?.trim();
+  if (envKey) {
+    return { source: "ANTHROPIC_API_KEY", headers: { "x-api-key": envKey } };
+  }
+  let credentials = await loadClaudeCredentials();
+  if (!credentials?.accessToken) {
+    throw new AuthError(
+      "Claude credentials not found. Sign in to Claude Code, set ANTHROPIC_API_KEY or pass --api-key-file, then retry."
+    );
+  }
+  if (isExpired(credentials)) {
+    credentials = await refreshClaudeCredentials(credentials);
+    log?.("Refreshed the expired Claude Code OAuth token");
+  }
+  return {
+    source: "Claude Code OAuth",
+    headers: { Authorization: `Bearer ${credentials.accessToken}`, "anthropic-beta": BetaHeader }
+  };
+}
@@ -0,0 +1,78 @@
+import { InvalidResponseError } from "./errors.js";
+import { readApiKeyFile } from "./utils.js";
+
+// OpenAI-compatible chat completions: OpenAI itself, or a local server such as Ollama
+// (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1) that needs no key
+export const OpenAiProvider = {
+  name: "openai",
+  label: "OpenAI-compatible server",
+  defaultBaseUrl: "https://api.openai.com/v1",
+  baseUrlEnv: "OPENAI_BASE_URL",
+  defaultModel: "gpt-4o-mini",
+  resolveAuth: resolveOpenAiAuth,
+  buildRequest,
+  readToolCall
+};
+
+function buildRequest({ model, system, tool, turns, maxTokens, temperature }) {
+  return {
+    path: "/chat/completions",
+    headers: {},
+    body: {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      tools: [
+        { type: "function", function: { name: tool.name, description: tool.description, parameters: tool.schema } }
+      ],
+      tool_choice: { type: "function", function: { name: tool.name } },
+      messages: [{ role: "system", content: system }, ...turns.map(toMessage)]
+    }
+  };
+}
+
+function toMessage(turn) {
+  if (turn.role === "assistant") {
+    const { id, name, input } = turn.toolCall;
+    return {
+      role: "assistant",
+      content: null,
+      tool_calls: [{ id, type: "function", function: { name, arguments: JSON.stringify(input) } }]
+    };
+  }
+  if (turn.role === "tool") {
+    return { role: "tool", tool_call_id: turn.toolCallId, content: turn.text };
+  }
+  return { role: "user", content: turn.text };
+}
+
+// Arguments arrive as a JSON string; a reply cut off at max_tokens leaves it incomplete
+function readToolCall(responseJson, toolName) {
+  const choice = responseJson?.choices?.[0];
+  const call = choice?.message?.tool_calls?.find((item) => item.function?.name === toolName);
+  if (!call) {
+    const reason = choice?.finish_reason === "length" ? "it ran out of tokens" : "it did not call the tool";
+    throw new InvalidResponseError(`${OpenAiProvider.label} returned an unusable response: ${reason}`);
+  }
+  const args = call.function.arguments;
+  let input;
+  try {
+    input = typeof args === "string" ? JSON.parse(args) : args;
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    throw new InvalidResponseError(`${OpenAiProvider.label} returned unparsable tool arguments: ${message}`);
+  }
+  return { id: call.id || `call_${toolName}`, name: toolName, input };
+}
+
+// Local servers usually need no key, so a missing one sends no Authorization header
+async function resolveOpenAiAuth({ apiKeyFile } = {}) {
+  if (apiKeyFile) {
+    return { source: "--api-key-file", headers: { Authorization: `Bearer ${await readApiKeyFile(apiKeyFile)}` } };
+  }
+  const envKey = process.env.OPENAI_API_KEY?.trim();
+  if (envKey) {
+    return { source: "OPENAI_API_KEY", headers: { Authorization: `Bearer ${envKey}` } };
+  }
+  return { source: "none", headers: {} };
+}
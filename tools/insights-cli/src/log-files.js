@@ -0,0 +1,78 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+
+// Lines above this size are skipped rather than parsed (large tool outputs)
+const MaxLineLength = 512 * 1024;
+
+export async function findJsonlFiles(dir, { modifiedSince } = {}) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err && typeof err === "object" && (err.code === "ENOENT" || err.code === "ENOTDIR")) {
+      return files;
+    }
+    throw err;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findJsonlFiles(fullPath, { modifiedSince })));
+    } else if (entry.isFile() && entry.name.endsWith(".jsonl")) {
+      if (modifiedSince) {
+        const stat = await fsp.stat(fullPath);
+        if (stat.mtime < modifiedSince) {
+          continue;
+        }
+      }
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Yields parsed JSON objects, skipping blank, oversized and malformed lines.
+// `filter` is a cheap string check run before JSON.parse.
+export async function* readJsonLines(filePath, filter) {
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line || line.length > MaxLineLength) {
+        continue;
+      }
+      if (filter && !filter(line)) {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // Skip malformed lines
+      }
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+export function isWithinRange(timestamp, { since, until } = {}) {
+  const day = typeof timestamp === "string" ? timestamp.slice(0, 10) : "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return false;
+  }
+  if (since && day < since) {
+    return false;
+  }
+  if (until && day > until) {
+    return false;
+  }
+  return true;
+}
+
+export function toTokenCount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? value : 0;
+}
@@ -0,0 +1,208 @@
+import fs from "node:fs/promises";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+// The native renderer redraws the built-in roast layout without a browser
+export const NativeTemplates = ["roast"];
+export const NativeFormats = ["png", "svg"];
+
+const FontWeights = [300, 400, 500, 600];
+const NarrowWidth = 600;
+// Half of the 0.15em the template's 0.85 hero line height removes, per side
+const HeroLineTrim = 0.075;
+let nativeLoadPromise = null;
+
+export function canRenderNatively(template, format) {
+  return Boolean(template.builtIn) && NativeTemplates.includes(template.name) && NativeFormats.includes(format);
+}
+
+// Lays out the card with satori (SVG, text as paths) and rasterizes PNGs with resvg
+export async function renderNativeCard({ text, icon, palette, viewport, width, scale, format, outputPath }) {
+  const { satori, Resvg, fonts } = await loadNative();
+  const cardWidth = width || viewport.width;
+  // Without --width the card keeps the template height, otherwise it grows with wrapped content
+  const fixedHeight = width ? undefined : viewport.height;
+  const card = roastCard(text, icon, palette, { width: cardWidth, height: fixedHeight, minHeight: viewport.height });
+  const svg = await satori(card, { width: cardWidth, height: fixedHeight, fonts });
+  const height = Number(/^<svg[^>]* height="([\d.]+)"/.exec(svg)?.[1]) || viewport.height;
+
+  if (format === "svg") {
+    await fs.writeFile(outputPath, svg, "utf8");
+    return { outputPath, format, width: cardWidth, height, scale: 1, renderer: "native" };
+  }
+  const png = new Resvg(svg, { fitTo: { mode: "zoom", value: scale } }).render().asPng();
+  await fs.writeFile(outputPath, png);
+  return { outputPath, format, width: cardWidth * scale, height: height * scale, scale, renderer: "native" };
+}
+
+async function loadNative() {
+  if (!nativeLoadPromise) {
+    nativeLoadPromise = importNative();
+  }
+  return nativeLoadPromise;
+}
+
+async function importNative() {
+  const [{ default: satori }, { initWasm, Resvg }] = await Promise.all([import("satori"), import("@resvg/resvg-wasm")]);
+  await initWasm(fs.readFile(require.resolve("@resvg/resvg-wasm/index_bg.wasm")));
+  const fonts = await Promise.all(
+    FontWeights.map(async (weight) => ({
+      name: "IBM Plex Mono",
+      weight,
+      style: "normal",
+      data: await fs.readFile(require.resolve(`@fontsource/ibm-plex-mono/files/ibm-plex-mono-latin-${weight}-normal.woff`))
+    }))
+  );
+  return { satori, Resvg, fonts };
+}
+
+function el(type, style, children) {
+  return { type, props: { style, children } };
+}
+
+// Mirrors templates/roast/card.html and card.css
+function roastCard(text, icon, palette, { width, height, minHeight }) {
+  const narrow = width < NarrowWidth;
+  const ink = (alpha) => `rgba(${palette.ink}, ${alpha})`;
+  const heroSizes = narrow
+    ? { "size-lg": 120, "size-md": 96, "size-sm": 76, "size-xs": 60 }
+    : { "size-lg": 180, "size-md": 140, "size-sm": 110, "size-xs": 90 };
+  const heroSize = heroSizes[text.HERO_SIZE_CLASS] || heroSizes["size-lg"];
+  const iconSrc =
+    "data:image/svg+xml;base64," +
+    Buffer.from(icon.replace(' class="brand-icon"', "").replace("<path ", `<path fill="${palette.accent}" `)).toString(
+      "base64"
+    );
+
+  const stat = (value, label, color) =>
+    el("div", { display: "flex", flexDirection: "column", gap: 2 }, [
+      el("div", { fontSize: narrow ? 26 : 34, fontWeight: 400, color, letterSpacing: "-0.02em" }, value),
+      el(
+        "div",
+        { fontSize: 11, fontWeight: 500, color: ink(0.3), textTransform: "uppercase", letterSpacing: "0.05em" },
+        label
+      )
+    ]);
+  const bottomStat = (value, label) =>
+    el("div", { display: "flex", alignItems: "baseline", gap: 6 }, [
+      el("span", { fontSize: 18, fontWeight: 500, color: ink(0.5) }, value),
+      el("span", { fontSize: 11, color: ink(0.25), textTransform: "lowercase" }, label)
+    ]);
+  const rule = (alpha) => `1px solid ${ink(alpha)}`;
+
+  return el(
+    "div",
+    {
+      display: "flex",
+      flexDirection: "column",
+      width,
+      // satori rejects undefined style values
+      ...(height ? { height } : { minHeight }),
+      padding: narrow ? 24 : "32px 40px",
+      background: palette.bg,
+      color: palette.fg,
+      fontFamily: "IBM Plex Mono"
+    },
+    [
+      el("div", { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }, [
+        el("div", { display: "flex", alignItems: "center", gap: 10 }, [
+          { type: "img", props: { src: iconSrc, width: 24, height: 24 } },
+          el(
+            "span",
+            { fontSize: 13, fontWeight: 500, color: ink(0.5), letterSpacing: "0.12em", textTransform: "uppercase" },
+            text.BRAND_NAME
+          )
+        ]),
+        el("div", { fontSize: 11, color: ink(0.25) }, text.DATE_RANGE)
+      ]),
+      el("div", { display: "flex", flexDirection: "column", justifyContent: "center", flexGrow: 1, minHeight: 0 }, [
+        el(
+          "div",
+          {
+            fontSize: heroSize,
+            fontWeight: 300,
+            // The template's 0.85 line height, drawn as a full line with the difference taken back by
+            // the margins: with a shorter line box satori needs overflow hidden, which clips the glyphs
+            lineHeight: 1,
+            marginTop: -heroSize * HeroLineTrim,
+            marginBottom: -heroSize * HeroLineTrim,
+            letterSpacing: "-0.05em",
+            color: palette.fg,
+            wordBreak: "break-all"
+          },
+          text.HERO_VALUE
+        ),
+        el("div", { display: "flex", fontSize: 14, fontWeight: 400, color: ink(0.35), marginTop: 4 }, [
+          el("span", {}, text.HERO_LABEL),
+          ...(text.SPENT
+            ? [el("span", { whiteSpace: "pre" }, " / "), el("span", { color: ink(0.55) }, text.SPENT)]
+            : [])
+        ]),
+        el(
+          "div",
+          { fontSize: 16, fontWeight: 500, color: palette.pink, marginTop: 10, letterSpacing: "-0.01em" },
+          text.ROAST
+        )
+      ]),
+      el(
+        "div",
+        {
+          display: "flex",
+          flexWrap: "wrap",
+          justifyContent: "space-between",
+          gap: "12px 24px",
+          marginTop: 16,
+          paddingTop: 14,
+          borderTop: rule(0.08)
+        },
+        [
+          stat(text.LINES_ADDED, "Added", palette.green),
+          stat(text.LINES_REMOVED, "Removed", palette.red),
+          stat(text.SESSIONS, "Sessions", palette.fg),
+          stat(text.MSGS_PER_DAY, "Msgs/Day", palette.accent),
+          stat(text.TOP_LANG, "Top Lang", palette.purple)
+        ]
+      ),
+      el(
+        "div",
+        {
+          display: "flex",
+          flexDirection: "column",
+          marginTop: 16,
+          padding: "12px 18px",
+          background: palette.accentSoft,
+          borderLeft: `3px solid ${palette.accent}`
+        },
+        [
+          el("div", { fontSize: 22, fontWeight: 600, color: palette.accent }, text.USER_TITLE),
+          el("div", { fontSize: 13, color: ink(0.4), marginTop: 4 }, text.TITLE_REASON)
+        ]
+      ),
+      el(
+        "div",
+        { display: "flex", flexWrap: "wrap", gap: "8px 32px", marginTop: 12, paddingTop: 12, borderTop: rule(0.06) },
+        [
+          bottomStat(text.DISSATISFIED, "dissatisfied"),
+          bottomStat(text.FRICTION, "friction"),
+          bottomStat(text.UNDO_RATE, "undo rate")
+        ]
+      ),
+      el(
+        "div",
+        {
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: "auto",
+          paddingTop: 8,
+          borderTop: rule(0.04)
+        },
+        [
+          el("div", { fontSize: 10, color: ink(0.2) }, text.PEAK_TIME),
+          el("div", { fontSize: 10, color: ink(0.15), letterSpacing: "0.06em" }, text.FOOTER_TEXT)
+        ]
+      )
+    ]
+  );
+}
@@ -0,0 +1,112 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { AuthError } from "./errors.js";
+import { fetchWithTimeout } from "./http.js";
+
+// Claude Code's public OAuth client; COSTATS_OAUTH_TOKEN_URL points the refresh at a stub server for tests
+const DefaultTokenUrl = "https://console.anthropic.com/v1/oauth/token";
+const ClientId = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
+// Refresh a little early so the token does not expire mid-request
+const ExpirySkewMs = 60 * 1000;
+const RefreshTimeoutMs = 30 * 1000;
+const ExpiredMessage = "Claude Code sign-in expired. Please re-authenticate in Claude Code, then retry.";
+
+export function claudeCredentialsPath() {
+  return path.join(os.homedir(), ".claude", ".credentials.json");
+}
+
+export function oauthTokenUrl() {
+  return process.env.COSTATS_OAUTH_TOKEN_URL?.trim() || DefaultTokenUrl;
+}
+
+export async function loadClaudeCredentials(credentialsPath = claudeCredentialsPath()) {
+  try {
+    const json = await fs.readFile(credentialsPath, "utf8");
+    const data = JSON.parse(json);
+    const oauth = data?.claudeAiOauth;
+    if (!oauth) {
+      return null;
+    }
+    return {
+      accessToken: oauth.accessToken ?? null,
+      refreshToken: oauth.refreshToken ?? null,
+      expiresAt: typeof oauth.expiresAt === "number" ? oauth.expiresAt : null,
+      subscriptionType: oauth.subscriptionType ?? null,
+      rateLimitTier: oauth.rateLimitTier ?? null
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function isExpired(credentials, now = Date.now()) {
+  return Boolean(credentials.expiresAt) && now > credentials.expiresAt - ExpirySkewMs;
+}
+
+// Exchanges the refresh token for a new access token and saves it. Only a rejected refresh
+// (invalid or revoked token) asks the user to sign in again; network and server errors say so.
+export async function refreshClaudeCredentials(credentials, { credentialsPath = claudeCredentialsPath() } = {}) {
+  if (!credentials.refreshToken) {
+    throw new AuthError(ExpiredMessage);
+  }
+  let response;
+  try {
+    response = await fetchWithTimeout(
+      oauthTokenUrl(),
+      {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          grant_type: "refresh_token",
+          refresh_token: credentials.refreshToken,
+          client_id: ClientId
+        })
+      },
+      { timeoutMs: RefreshTimeoutMs }
+    );
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    throw new Error(`Could not refresh the Claude OAuth token: ${message}`);
+  }
+  if (response.status === 400 || response.status === 401 || response.status === 403) {
+    throw new AuthError(ExpiredMessage);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not refresh the Claude OAuth token: ${response.status} ${await response.text()}`);
+  }
+  const json = await response.json();
+  if (typeof json?.access_token !== "string") {
+    throw new Error("Could not refresh the Claude OAuth token: the response has no access_token");
+  }
+  const refreshed = {
+    ...credentials,
+    accessToken: json.access_token,
+    refreshToken: json.refresh_token || credentials.refreshToken,
+    expiresAt: typeof json.expires_in === "number" ? Date.now() + json.expires_in * 1000 : null
+  };
+  await saveClaudeCredentials(refreshed, credentialsPath);
+  return refreshed;
+}
+
+// Rewrites only the token fields of claudeAiOauth, through a temp file and rename so a
+// crash never leaves a half-written file, and keeps the original permissions
+async function saveClaudeCredentials(credentials, credentialsPath) {
+  const raw = await fs.readFile(credentialsPath, "utf8");
+  const data = JSON.parse(raw);
+  data.claudeAiOauth = {
+    ...data.claudeAiOauth,
+    accessToken: credentials.accessToken,
+    refreshToken: credentials.refreshToken,
+    expiresAt: credentials.expiresAt
+  };
+  const { mode } = await fs.stat(credentialsPath);
+  const tempPath = `${credentialsPath}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { encoding: "utf8", mode: mode & 0o777 });
+    await fs.rename(tempPath, credentialsPath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+}
@@ -0,0 +1,91 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// png, jpeg and webp are screenshots, pdf and svg stay vector, html is the filled template
+export const OutputFormats = ["png", "jpeg", "webp", "pdf", "svg", "html"];
+export const DefaultOutputFormat = "png";
+
+const Extensions = {
+  ".png": "png",
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".webp": "webp",
+  ".pdf": "pdf",
+  ".svg": "svg",
+  ".html": "html",
+  ".htm": "html"
+};
+
+// An explicit format wins, then the output extension, then the template default
+export function resolveOutputFormat({ format, outputPath, fallback = DefaultOutputFormat } = {}) {
+  if (format) {
+    if (!OutputFormats.includes(format)) {
+      throw new Error(`Unknown output format: ${format}. Use one of: ${OutputFormats.join(", ")}`);
+    }
+    return format;
+  }
+  const fromExtension = outputPath ? Extensions[path.extname(outputPath).toLowerCase()] : undefined;
+  return fromExtension || fallback;
+}
+
+export function formatExtension(format) {
+  return format === "jpeg" ? ".jpg" : "." + format;
+}
+
+// Swaps the extension of a default output path to match the format
+export function withFormatExtension(filePath, format) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length) + formatExtension(format);
+}
+
+// CSS pixels per inch; a --scale 2 card is 192 DPI
+const CssDpi = 96;
+const InchesPerMeter = 39.3701;
+const PngSignatureLength = 8;
+const PngIhdrChunkLength = 12 + 13;
+let crcTable;
+
+// Records the card's pixel size and scale in a rendered PNG: a pHYs chunk, so viewers show it at
+// its CSS size, and tEXt chunks (costats:size "1600x1280", costats:scale "2") for scripts.
+// Both go right after IHDR, before the image data.
+export async function writePngMetadata(filePath, { width, height, scale }) {
+  const png = await fs.readFile(filePath);
+  const pixelsPerMeter = Math.round(CssDpi * scale * InchesPerMeter);
+  const phys = Buffer.alloc(9);
+  phys.writeUInt32BE(pixelsPerMeter, 0);
+  phys.writeUInt32BE(pixelsPerMeter, 4);
+  phys.writeUInt8(1, 8);
+  const chunks = [
+    pngChunk("pHYs", phys),
+    pngChunk("tEXt", Buffer.from(`Software\0costats`, "latin1")),
+    pngChunk("tEXt", Buffer.from(`costats:size\0${width}x${height}`, "latin1")),
+    pngChunk("tEXt", Buffer.from(`costats:scale\0${scale}`, "latin1"))
+  ];
+  const headerEnd = PngSignatureLength + PngIhdrChunkLength;
+  await fs.writeFile(filePath, Buffer.concat([png.subarray(0, headerEnd), ...chunks, png.subarray(headerEnd)]));
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
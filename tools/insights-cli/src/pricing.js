@@ -0,0 +1,157 @@
+import fs from "node:fs/promises";
+import { formatValidationError, validatePricingOverrides } from "./schema.js";
+
+// Per-model pricing in USD per million tokens, mirroring TariffRegistry in costats.Core
+const ClaudeRates = {
+  "claude-haiku-4-5": { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  "claude-sonnet-4-5": {
+    input: 3,
+    output: 15,
+    cacheRead: 0.3,
+    cacheWrite: 3.75,
+    tierThreshold: 200_000,
+    inputAboveTier: 6,
+    outputAboveTier: 22.5,
+    cacheReadAboveTier: 0.6,
+    cacheWriteAboveTier: 7.5
+  },
+  "claude-opus-4-5": { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  "claude-opus-4": { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  "claude-sonnet-4": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 }
+};
+
+const CodexRates = {
+  "gpt-5": { input: 1.25, output: 10, cacheRead: 0.125 },
+  "gpt-5.2": { input: 1.75, output: 14, cacheRead: 0.175 },
+  o3: { input: 10, output: 40, cacheRead: 2.5 },
+  "o4-mini": { input: 1.1, output: 4.4, cacheRead: 0.275 }
+};
+
+// Conservative estimates for models missing from the tables
+const ClaudeFallbackRate = { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 };
+const CodexFallbackRate = { input: 1.5, output: 12, cacheRead: 0.15 };
+
+const Providers = {
+  claude: { rates: ClaudeRates, fallback: ClaudeFallbackRate, normalize: normalizeClaudeModel },
+  codex: { rates: CodexRates, fallback: CodexFallbackRate, normalize: normalizeCodexModel }
+};
+
+// Built-in prices, used when no pricing file is present
+export const defaultPricing = createPricing();
+
+// Merges user overrides ({ claude: { "<model>" | "fallback": rate }, codex: {...} }) over the built-in tables
+export function createPricing(overrides = {}) {
+  const tables = {};
+  for (const [provider, { rates, fallback }] of Object.entries(Providers)) {
+    const custom = overrides[provider] || {};
+    const merged = { ...rates };
+    for (const [model, rate] of Object.entries(custom)) {
+      if (model === "fallback") {
+        continue;
+      }
+      const key = model.trim().toLowerCase();
+      merged[key] = assertCompleteRate({ ...merged[key], ...rate }, provider, model);
+    }
+    tables[provider] = {
+      rates: merged,
+      fallback: assertCompleteRate({ ...fallback, ...custom.fallback }, provider, "fallback")
+    };
+  }
+
+  return {
+    findRate(provider, model) {
+      const table = tables[provider] || tables.claude;
+      const normalize = (Providers[provider] || Providers.claude).normalize;
+      return table.rates[normalize(model || "", table.rates)] || table.fallback;
+    }
+  };
+}
+
+export async function loadPricing(filePath, { required = false } = {}) {
+  let json;
+  try {
+    json = await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      if (!required) {
+        return defaultPricing;
+      }
+      throw new Error(`Pricing file not found: ${filePath}`);
+    }
+    throw err;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Pricing file ${filePath} is not valid JSON: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  try {
+    return createPricing(validatePricingOverrides(parsed));
+  } catch (err) {
+    throw new Error(`Pricing file ${filePath} is invalid: ${formatValidationError(err)}`);
+  }
+}
+
+// Cost of a single model call; tier thresholds apply per call like ModelRateCard.ComputeCost
+export function computeCost(rate, tokens) {
+  return (
+    tieredCost(tokens.inputTokens, rate.input, rate.inputAboveTier, rate.tierThreshold) +
+    tieredCost(tokens.outputTokens, rate.output, rate.outputAboveTier, rate.tierThreshold) +
+    tieredCost(tokens.cacheReadTokens, rate.cacheRead, rate.cacheReadAboveTier, rate.tierThreshold) +
+    tieredCost(tokens.cacheWriteTokens, rate.cacheWrite || 0, rate.cacheWriteAboveTier, rate.tierThreshold)
+  );
+}
+
+function assertCompleteRate(rate, provider, model) {
+  for (const key of ["input", "output", "cacheRead"]) {
+    if (typeof rate[key] !== "number") {
+      throw new Error(`Pricing for ${provider} model "${model}" is missing "${key}"`);
+    }
+  }
+  return rate;
+}
+
+function tieredCost(count, baseRate, aboveRate, threshold) {
+  if (!count || count <= 0) {
+    return 0;
+  }
+  if (typeof threshold !== "number" || typeof aboveRate !== "number") {
+    return (count * baseRate) / 1_000_000;
+  }
+  const below = Math.min(count, threshold);
+  const above = Math.max(0, count - threshold);
+  return (below * baseRate + above * aboveRate) / 1_000_000;
+}
+
+// Strips vendor prefixes and date suffixes, e.g. anthropic.claude-opus-4-5-20251101
+function normalizeClaudeModel(raw, rates) {
+  let trimmed = raw.trim().toLowerCase();
+  if (trimmed.startsWith("anthropic.")) {
+    trimmed = trimmed.slice("anthropic.".length);
+  }
+  const dated = /-\d{8}$/.exec(trimmed);
+  if (dated) {
+    const candidate = trimmed.slice(0, dated.index);
+    if (rates[candidate]) {
+      return candidate;
+    }
+  }
+  return trimmed;
+}
+
+// Strips vendor prefixes and the -codex suffix, e.g. openai/gpt-5-codex
+function normalizeCodexModel(raw, rates) {
+  let trimmed = raw.trim().toLowerCase();
+  if (trimmed.startsWith("openai/")) {
+    trimmed = trimmed.slice("openai/".length);
+  }
+  const codexIndex = trimmed.indexOf("-codex");
+  if (codexIndex > 0) {
+    const candidate = trimmed.slice(0, codexIndex);
+    if (rates[candidate]) {
+      return candidate;
+    }
+  }
+  return trimmed;
+}
@@ -0,0 +1,252 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { formatValidationError, validateRedactionConfig } from "./schema.js";
+import { defaultClaudeProjectsDir, defaultRedactionPath } from "./utils.js";
+
+// Applied in order before the custom patterns: URLs and git remotes go first so their parts are
+// not masked again as emails or paths. Paths need two segments, a slash right after a letter or
+// digit (Msgs/Day, +12,345/-6,789) never starts one, and a sentence's final dot is not part of one.
+const PathSegment = String.raw`\.?[\w@+-]+(?:\.[\w@+-]+)*`;
+const Rules = [
+  { name: "urls", pattern: /\bhttps?:\/\/[^\s"'<>)]*[^\s"'<>).,;:!?]/gi, replacement: "[url]" },
+  {
+    name: "repos",
+    pattern: /(?:\bgit@[\w.-]+:|\b(?:github\.com|gitlab\.com|bitbucket\.org)\/)[\w-]+\/[\w-]+(?:\.[\w-]+)*/gi,
+    replacement: "[repo]"
+  },
+  { name: "emails", pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, replacement: "[email]" },
+  {
+    name: "paths",
+    pattern: new RegExp(String.raw`\b[A-Za-z]:\\${PathSegment}(?:\\${PathSegment})*\\?`, "g"),
+    replacement: "[path]"
+  },
+  {
+    name: "paths",
+    pattern: new RegExp(String.raw`(?<![\w\]])(?:~|\/${PathSegment})(?:\/${PathSegment})+\/?`, "g"),
+    replacement: "[path]"
+  }
+];
+// Shorter names match ordinary words too often to mask safely
+const MinNameLength = 3;
+// Folder names too common to be a project: masking them would blank out ordinary words
+const GenericFolders = new Set([
+  "app", "apps", "bin", "build", "code", "desktop", "dev", "dist", "docs", "documents", "downloads", "git",
+  "home", "lib", "opt", "packages", "projects", "repo", "repos", "root", "src", "test", "tests", "tmp",
+  "users", "usr", "var", "work", "workspace"
+]);
+// Session logs record the project folder as "cwd" near the top of the file
+const SessionLogHeadBytes = 64 * 1024;
+
+// Custom patterns come from --redact and ~/.costats/redact.json ({ "patterns": [...] }),
+// both matched case-insensitively. Project names are the folders Claude Code has sessions for.
+// enabled: false (--no-redact) sends the report as is.
+export async function loadRedaction({
+  patterns = [],
+  filePath = defaultRedactionPath(),
+  projectsDir = defaultClaudeProjectsDir(),
+  enabled = true
+} = {}) {
+  if (!enabled) {
+    return { enabled: false, patterns: [], projectNames: [], usernames: [] };
+  }
+  const filePatterns = await readRedactionFile(filePath);
+  return {
+    ...defaultRedaction(),
+    patterns: [...filePatterns, ...patterns].map((source) => compilePattern(source)),
+    projectNames: await readProjectNames(projectsDir)
+  };
+}
+
+// The built-in rules only, for callers that do not load the redaction file or the project list
+export function defaultRedaction() {
+  return { enabled: true, patterns: [], projectNames: [], usernames: localUsernames() };
+}
+
+// Returns the masked text and how many matches each kind of rule replaced. The project folder of
+// every masked path and repo is masked on its own too, so "acme-payments" in prose does not give it away.
+export function redactText(text, redaction) {
+  const counts = {};
+  if (!redaction?.enabled) {
+    return { text, counts };
+  }
+  const replace = (value, name, pattern, replacement, onMatch) =>
+    value.replace(pattern, (match) => {
+      counts[name] = (counts[name] || 0) + 1;
+      onMatch?.(match);
+      return replacement;
+    });
+
+  const usernames = redaction.usernames.map((name) => name.toLowerCase());
+  const projectNames = new Set(redaction.projectNames || []);
+  const collectProject = (match) => {
+    // git remotes end in the repo name, paths in the project folder somewhere before the file
+    const segments = match.replace(/\.git$/i, "").split(/[\\/:]/);
+    const name = projectFolder(segments, usernames);
+    if (name) {
+      projectNames.add(name);
+    }
+  };
+
+  let result = text;
+  for (const rule of Rules) {
+    const onMatch = rule.name === "paths" || rule.name === "repos" ? collectProject : undefined;
+    result = replace(result, rule.name, rule.pattern, rule.replacement, onMatch);
+  }
+  for (const pattern of redaction.patterns) {
+    result = replace(result, "custom patterns", pattern, "[redacted]");
+  }
+  // Longer names first so "acme-payments-api" is not left as "[project]-api"
+  for (const name of [...projectNames].sort((a, b) => b.length - a.length)) {
+    result = replace(result, "project names", namePattern(name), "[project]");
+  }
+  for (const username of redaction.usernames) {
+    result = replace(result, "usernames", new RegExp(`\\b${escapeRegExp(username)}\\b`, "gi"), "[user]");
+  }
+  return { text: result, counts };
+}
+
+// "paths: 3, emails: 1" for --verbose
+export function formatRedactionCounts(counts) {
+  const parts = Object.entries(counts).map(([name, count]) => `${name}: ${count}`);
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
+
+async function readRedactionFile(filePath) {
+  let json;
+  try {
+    json = await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      return [];
+    }
+    throw err;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Redaction file ${filePath} is not valid JSON: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  try {
+    return validateRedactionConfig(parsed).patterns;
+  } catch (err) {
+    throw new Error(`Redaction file ${filePath} is invalid: ${formatValidationError(err)}`);
+  }
+}
+
+// One name per project folder: the cwd a session log records, or the folder name decoded
+// against the file system when no log has one. Unreadable folders are skipped.
+async function readProjectNames(projectsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(projectsDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const usernames = localUsernames().map((name) => name.toLowerCase());
+  const names = new Set();
+  for (const entry of entries.filter((item) => item.isDirectory())) {
+    const projectPath =
+      (await readSessionCwd(path.join(projectsDir, entry.name))) || (await decodeProjectFolder(entry.name));
+    const name = projectPath ? projectFolder(projectPath.split(/[\\/]/), usernames) : null;
+    if (name) {
+      names.add(name);
+    }
+  }
+  return [...names];
+}
+
+async function readSessionCwd(dir) {
+  const files = (await fs.readdir(dir).catch(() => [])).filter((name) => name.endsWith(".jsonl"));
+  for (const file of files) {
+    let handle;
+    try {
+      handle = await fs.open(path.join(dir, file), "r");
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SessionLogHeadBytes), 0, SessionLogHeadBytes, 0);
+      const match = buffer.toString("utf8", 0, bytesRead).match(/"cwd"\s*:\s*("(?:[^"\\]|\\.)*")/);
+      if (match) {
+        return JSON.parse(match[1]);
+      }
+    } catch {
+      // Unreadable log, try the next one
+    } finally {
+      await handle?.close();
+    }
+  }
+  return null;
+}
+
+// Claude Code names the folder after the project path with every other character than
+// letters and digits replaced by "-", so /home/jane/acme-payments becomes -home-jane-acme-payments.
+// Hyphens are ambiguous, so the path is rebuilt by matching real folders one level at a time.
+async function decodeProjectFolder(folderName) {
+  if (process.platform === "win32" || !folderName.startsWith("-")) {
+    return null;
+  }
+  let current = "/";
+  let rest = folderName.slice(1);
+  while (rest) {
+    const children = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+    const next = children
+      .filter((child) => child.isDirectory())
+      .map((child) => ({ name: child.name, encoded: child.name.replace(/[^A-Za-z0-9]/g, "-") }))
+      .filter((child) => rest === child.encoded || rest.startsWith(child.encoded + "-"))
+      .sort((a, b) => b.encoded.length - a.encoded.length)[0];
+    if (!next) {
+      return null;
+    }
+    current = path.join(current, next.name);
+    rest = rest.slice(next.encoded.length + 1);
+  }
+  return current;
+}
+
+// The last folder of a path that names a project: files, common folders such as src and
+// the home folder are skipped
+function projectFolder(segments, usernames) {
+  for (let i = segments.length - 1; i >= 0; i -= 1) {
+    const segment = segments[i].trim();
+    const lower = segment.toLowerCase();
+    const isFile = i === segments.length - 1 && /\.[A-Za-z0-9]{1,8}$/.test(segment);
+    if (
+      segment.length >= MinNameLength &&
+      !isFile &&
+      !segment.startsWith(".") &&
+      !/^[A-Za-z]:$/.test(segment) &&
+      !GenericFolders.has(lower) &&
+      !usernames.includes(lower)
+    ) {
+      return segment;
+    }
+  }
+  return null;
+}
+
+// The whole name only: "api" is not masked inside "acme-api-client"
+function namePattern(name) {
+  return new RegExp(`(?<![\\w-])${escapeRegExp(name)}(?![\\w-])`, "gi");
+}
+
+function compilePattern(source) {
+  try {
+    return new RegExp(source, "gi");
+  } catch (err) {
+    throw new Error(`Invalid redaction pattern ${source}: ${err instanceof Error ? err.message : String(err)}`);
+  }
+}
+
+function localUsernames() {
+  const names = new Set();
+  try {
+    names.add(os.userInfo().username);
+  } catch {
+    // No passwd entry, e.g. in some containers
+  }
+  names.add(path.basename(os.homedir()));
+  return [...names].filter((name) => name && name.length >= MinNameLength);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
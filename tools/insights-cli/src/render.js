@@ -3,6 +3,13 @@ import fsSync from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { spawn, spawnSync } from "node:child_process";
+import { CostatsError, RenderError } from "./errors.js";
+import { compareSnapshots } from "./history.js";
+import { NativeFormats, NativeTemplates, canRenderNatively, renderNativeCard } from "./native-render.js";
+import { resolveOutputFormat, writePngMetadata } from "./output-formats.js";
+import { serializeCardSvg } from "./svg-export.js";
+import { findPlaceholders, loadTemplate } from "./templates.js";
+import { buildThemeCss, resolveTheme, themePalette } from "./themes.js";
 import { escapeHtml, formatDateRange, getPlaywrightCacheDir } from "./utils.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -11,6 +18,22 @@ const projectRoot = path.resolve(__dirname, "..");
 let playwrightLoadPromise = null;
 let attemptedPlaywrightInstall = false;
 
+// Header branding per data source
+const BRANDS = {
+  claude: {
+    name: "Claude Code",
+    assistant: "Claude",
+    footer: "npx costats ccinsights",
+    icon: '<svg class="brand-icon" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg"><path d="M25.71 63.22L41.44 54.39L41.7 53.62L41.44 53.2H40.67L38.04 53.04L29.05 52.79L21.26 52.47L13.71 52.06L11.81 51.66L10.03 49.31L10.21 48.14L11.81 47.07L14.1 47.27L19.16 47.61L26.75 48.14L32.25 48.46L40.41 49.31H41.7L41.88 48.79L41.44 48.46L41.1 48.14L33.24 42.82L24.74 37.19L20.29 33.95L17.88 32.31L16.67 30.77L16.14 27.41L18.33 25.01L21.26 25.21L22.01 25.41L24.99 27.7L31.34 32.62L39.64 38.73L40.85 39.74L41.34 39.4L41.4 39.15L40.85 38.24L36.34 30.09L31.52 21.79L29.38 18.35L28.81 16.28C28.61 15.43 28.47 14.73 28.47 13.85L30.96 10.48L32.33 10.03L35.65 10.48L37.05 11.69L39.11 16.41L42.45 23.83L47.63 33.93L49.15 36.93L49.96 39.7L50.26 40.55H50.79V40.06L51.21 34.38L52 27.39L52.77 18.41L53.04 15.88L54.29 12.84L56.78 11.2L58.72 12.14L60.32 14.42L60.1 15.9L59.15 22.07L57.29 31.75L56.07 38.22H56.78L57.59 37.41L60.87 33.06L66.37 26.18L68.8 23.45L71.63 20.43L73.46 19H76.9L79.43 22.76L78.29 26.65L74.75 31.14L71.82 34.94L67.61 40.61L64.98 45.14L65.22 45.51L65.85 45.45L75.36 43.42L80.5 42.49L86.63 41.44L89.4 42.73L89.71 44.05L88.61 46.74L82.06 48.36L74.37 49.9L62.91 52.61L62.77 52.71L62.93 52.91L68.09 53.4L70.3 53.52H75.7L85.76 54.27L88.39 56.01L89.97 58.14L89.71 59.75L85.66 61.82L80.19 60.52L67.45 57.49L63.07 56.4H62.47V56.76L66.11 60.32L72.79 66.35L81.15 74.12L81.57 76.05L80.5 77.56L79.36 77.4L72.02 71.88L69.19 69.39L62.77 63.98H62.35V64.55L63.82 66.72L71.63 78.45L72.04 82.06L71.47 83.23L69.45 83.94L67.22 83.53L62.65 77.12L57.93 69.89L54.13 63.42L53.66 63.68L51.42 87.87L50.36 89.1L47.94 90.03L45.91 88.49L44.84 86L45.91 81.09L47.21 74.67L48.26 69.57L49.21 63.24L49.78 61.13L49.74 60.99L49.27 61.05L44.5 67.61L37.23 77.42L31.48 83.57L30.11 84.12L27.72 82.89L27.94 80.68L29.28 78.72L37.23 68.6L42.03 62.32L45.12 58.7L45.1 58.18H44.92L23.79 71.9L20.03 72.38L18.41 70.87L18.61 68.38L19.38 67.57L25.73 63.2L25.71 63.22Z"/></svg>'
+  },
+  codex: {
+    name: "Codex",
+    assistant: "Codex",
+    footer: "npx costats usage --provider codex",
+    icon: '<svg class="brand-icon" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg"><path d="M14 24L50 50L14 76V61L30 50L14 39Z M54 66H86V78H54Z"/></svg>'
+  }
+};
+
 // Funny titles based on user stats - classic programmer humor
 const TITLES = {
   // Hours-based (primary)
@@ -59,6 +82,19 @@ const TITLES = {
   ]
 };
 
+// Team-level titles for the leaderboard card
+const TEAM_TITLES = {
+  hours: [
+    { min: 5000, title: "The Token Burners", reason: "5000+ team hours. The invoice has its own invoice." },
+    { min: 1000, title: "Prompt Engineering Dept.", reason: "1000+ team hours. HR is drafting the job titles." },
+    { min: 200, title: "Pair Programming Guild", reason: "200+ team hours. Nobody codes alone anymore." },
+    { min: 0, title: "Hackathon Squad", reason: "Just getting started. The pizza is on its way." }
+  ],
+  destroyer: { title: "Department of Deletion", reason: "The team deleted more than it wrote. Ship less, ship better." },
+  nightShift: { title: "Night Shift Collective", reason: "Most of the team peaks after dark. Standup is at midnight." },
+  earlyBirds: { title: "Standup Before Sunrise", reason: "Most of the team peaks in the morning. Coffee budget tripled." }
+};
+
 // Coding roasts based on user stats
 const ROASTS = {
   // Hours-based roasts
@@ -251,6 +287,19 @@ function getFunnyTitle(data) {
   return TITLES.hours[TITLES.hours.length - 1];
 }
 
+function getTeamTitle(team) {
+  const { hours, linesAdded, linesRemoved } = team.totals;
+  if (linesAdded > 0 && linesRemoved > linesAdded) return TEAM_TITLES.destroyer;
+
+  // A majority of members sharing a peak period names the team
+  const peakCount = (...periods) =>
+    team.peakSpread.filter((entry) => periods.includes(entry.period)).reduce((sum, entry) => sum + entry.count, 0);
+  if (peakCount("Evening", "Night") > team.members.length / 2) return TEAM_TITLES.nightShift;
+  if (peakCount("Morning") > team.members.length / 2) return TEAM_TITLES.earlyBirds;
+
+  return TEAM_TITLES.hours.find((tier) => hours >= tier.min) || TEAM_TITLES.hours[TEAM_TITLES.hours.length - 1];
+}
+
 // Safe number extraction with fallback
 function safeNumber(value, fallback = 0) {
   if (value === null || value === undefined) return fallback;
@@ -290,6 +339,12 @@ function formatNumber(value, options = {}) {
   return sign + formatted;
 }
 
+// Dollar amounts keep cents below $100, then switch to compact numbers
+function formatSpent(value) {
+  if (value < 100) return value.toFixed(2);
+  return formatNumber(value, { showZero: true });
+}
+
 // Get size class based on string length
 function getHeroSizeClass(value) {
   const len = value.length;
@@ -340,6 +395,13 @@ function getTopLanguage(data) {
   return nameMap[top.name.toLowerCase()] || top.name.slice(0, 4);
 }
 
+// Get most used tool
+function getTopTool(data) {
+  const tools = Array.isArray(data.tools) ? data.tools : [];
+  const top = [...tools].sort((a, b) => safeNumber(b.count) - safeNumber(a.count))[0];
+  return top && top.name ? top.name : "-";
+}
+
 // Sanitize roast text - remove em dashes and clean up
 function sanitizeRoast(text) {
   if (!text || typeof text !== "string") return "You are doing great... probably.";
@@ -354,31 +416,409 @@ function sanitizeRoast(text) {
     .slice(0, 200);               // Limit length
 }
 
-export async function renderCard(data, outputPath) {
-  ensurePlaywrightCachePath();
-  const templatePath = path.join(__dirname, "..", "templates", "insights-card.html");
-  const cssPath = path.join(__dirname, "..", "templates", "insights-card.css");
-  const [template, css] = await Promise.all([
-    fs.readFile(templatePath, "utf8"),
-    fs.readFile(cssPath, "utf8")
-  ]);
+export const Scales = [1, 2, 3];
+const MinWidth = 320;
+const MaxWidth = 4096;
 
-  const html = applyTemplate(template, buildTemplateData(data, css));
+// Validates --scale and --width before any slow work happens
+export function resolveRenderSize({ scale, width } = {}) {
+  const size = { scale: scale === undefined ? 1 : Number(scale) };
+  if (!Scales.includes(size.scale)) {
+    throw new Error(`--scale must be one of: ${Scales.join(", ")}`);
+  }
+  if (width !== undefined) {
+    size.width = Number(width);
+    if (!Number.isInteger(size.width) || size.width < MinWidth || size.width > MaxWidth) {
+      throw new Error(`--width must be a whole number between ${MinWidth} and ${MaxWidth}`);
+    }
+  }
+  return size;
+}
 
-  await withChromium(async () => {
-    const { chromium } = await loadPlaywright();
-    const browser = await chromium.launch();
+// auto uses Chromium and falls back to the native renderer when Chromium cannot be installed or launched
+export const Renderers = ["auto", "chromium", "native"];
+
+export function resolveRenderer(renderer = "auto", { template, format } = {}) {
+  if (!Renderers.includes(renderer)) {
+    throw new Error(`Unknown renderer: ${renderer}. Use one of: ${Renderers.join(", ")}`);
+  }
+  if (renderer === "native" && template && format && !canRenderNatively(template, format)) {
+    throw new Error(
+      `The native renderer draws the ${NativeTemplates.join(", ")} template as ${NativeFormats.join(" or ")}, use --renderer chromium for ${template.name} as ${format}`
+    );
+  }
+  return renderer;
+}
+
+const DefaultMaxPages = 4;
+
+// Renders the team leaderboard from summarizeTeam output, see TeamPlaceholders
+export async function renderTeamCard(team, outputPath, options = {}) {
+  return renderCard(team, outputPath, { ...options, templateData: buildTeamTemplateData });
+}
+
+// Renders one card and returns what was written: format, pixel size (CSS size for pdf and svg) and renderer
+export async function renderCard(data, outputPath, options = {}) {
+  const session = createRenderer({ renderer: options.renderer });
+  try {
+    return await session.render(data, outputPath, options);
+  } finally {
+    await session.close();
+  }
+}
+
+// Keeps one Chromium process and a pool of pages alive across renders, for batches of cards.
+// render() takes the same options as renderCard except renderer; call close() when done.
+// options.templateData swaps the placeholder builder, e.g. for the team card, and
+// options.previous is an earlier period's data for the delta placeholders.
+export function createRenderer({ renderer = "auto", maxPages = DefaultMaxPages } = {}) {
+  resolveRenderer(renderer);
+  let browserPromise = null;
+  let closed = false;
+  let openPages = 0;
+  const idlePages = new Map();
+  const waiting = [];
+
+  // A failed launch stays cached so the rest of a batch falls back without retrying the install
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = launchChromium();
+    }
+    return browserPromise;
+  }
+
+  // Pages are pooled per scale because deviceScaleFactor is fixed when a page is created
+  async function acquirePage(scale) {
+    for (;;) {
+      if (closed) {
+        throw new Error("Renderer is closed");
+      }
+      const idle = idlePages.get(scale);
+      if (idle && idle.length > 0) {
+        return idle.pop();
+      }
+      if (openPages < maxPages) {
+        openPages += 1;
+        try {
+          return await (await getBrowser()).newPage({ deviceScaleFactor: scale });
+        } catch (error) {
+          openPages -= 1;
+          throw error;
+        }
+      }
+      const spare = [...idlePages.values()].find((pages) => pages.length > 0);
+      if (spare) {
+        await discardPage(spare.pop());
+        continue;
+      }
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+  }
+
+  async function releasePage(page, scale, reusable) {
+    if (reusable && !closed) {
+      idlePages.set(scale, [...(idlePages.get(scale) || []), page]);
+    } else {
+      await discardPage(page);
+    }
+    waiting.shift()?.();
+  }
+
+  async function discardPage(page) {
+    openPages -= 1;
+    await page.close().catch(() => {});
+  }
+
+  async function render(data, outputPath, options = {}) {
+    if (closed) {
+      throw new Error("Renderer is closed");
+    }
+    const template = typeof options.template === "object" ? options.template : await loadTemplate(options.template);
+    const theme = options.theme || resolveTheme();
+    const format = options.format || resolveOutputFormat({ outputPath, fallback: template.format });
+    resolveRenderer(renderer, { template, format });
+    const { scale, width } = resolveRenderSize({ scale: options.scale, width: options.width });
+    const renderNative = () =>
+      renderNativeCard({
+        text: buildCardText(data, options.previous),
+        icon: (BRANDS[data.provider] || BRANDS.claude).icon,
+        palette: themePalette(theme),
+        viewport: template.viewport,
+        width,
+        scale,
+        format,
+        outputPath
+      });
+
+    if (renderer === "native") {
+      return renderNative();
+    }
+    const html = applyTemplate(template, (options.templateData || buildTemplateData)(data, template.css, theme, options));
+
+    // Standalone HTML is the filled template, CSS is already inlined through {{STYLE}}
+    if (format === "html") {
+      await fs.writeFile(outputPath, html, "utf8");
+      return { outputPath, format, width: null, height: null, scale: 1, renderer: "html" };
+    }
+
+    let page;
     try {
-      const page = await browser.newPage({ viewport: { width: 800, height: 640 } });
+      page = await acquirePage(scale);
+    } catch (error) {
+      if (renderer !== "auto" || options.templateData || !canRenderNatively(template, format)) {
+        throw error;
+      }
+      const card = await renderNative();
+      return { ...card, fallbackReason: error instanceof Error ? error.message : String(error) };
+    }
+    let reusable = false;
+    try {
+      let viewport = { width: width || template.viewport.width, height: template.viewport.height };
+      await page.setViewportSize(viewport);
+      await page.emulateMedia({ media: "screen", colorScheme: theme.colorScheme });
       await page.setContent(html, { waitUntil: "load" });
-      await page.screenshot({ path: outputPath, type: "png" });
+      if (width) {
+        // A narrower card wraps onto more lines, so grow the viewport to the reflowed height
+        const contentHeight = await page.evaluate(() => Math.ceil(document.documentElement.scrollHeight));
+        if (contentHeight > viewport.height) {
+          viewport = { width: viewport.width, height: contentHeight };
+          await page.setViewportSize(viewport);
+        }
+      }
+      await writeCard(page, outputPath, format, viewport);
+      reusable = true;
+      const pixelScale = format === "pdf" || format === "svg" ? 1 : scale;
+      return {
+        outputPath,
+        format,
+        width: viewport.width * pixelScale,
+        height: viewport.height * pixelScale,
+        scale: pixelScale,
+        renderer: "chromium"
+      };
     } finally {
-      await browser.close();
+      await releasePage(page, scale, reusable);
+    }
+  }
+
+  async function close() {
+    if (closed) {
+      return;
     }
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve());
+    if (browserPromise) {
+      const browser = await browserPromise.catch(() => null);
+      await browser?.close();
+    }
+  }
+
+  // Anything that goes wrong while drawing is a render failure, with its own exit code
+  async function renderOrFail(data, outputPath, options) {
+    try {
+      const card = await render(data, outputPath, options);
+      if (card.format === "png") {
+        await writePngMetadata(card.outputPath, card);
+      }
+      return card;
+    } catch (error) {
+      if (error instanceof CostatsError) {
+        throw error;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      throw new RenderError(`Could not render the card: ${message}`, { cause: error });
+    }
+  }
+
+  return { render: renderOrFail, close };
+}
+
+// Installs Playwright and Chromium on first use
+async function launchChromium() {
+  ensurePlaywrightCachePath();
+  return withChromium(async () => {
+    const { chromium } = await loadPlaywright();
+    return chromium.launch();
   });
 }
 
-function buildTemplateData(data, css) {
+// " (1600x1280)" for the success message, empty when the format has no fixed size
+export function formatCardSize(card) {
+  return card && card.width && card.height ? ` (${card.width}x${card.height})` : "";
+}
+
+async function writeCard(page, outputPath, format, viewport) {
+  if (format === "pdf") {
+    await page.pdf({
+      path: outputPath,
+      width: viewport.width + "px",
+      height: viewport.height + "px",
+      printBackground: true,
+      pageRanges: "1"
+    });
+    return;
+  }
+  if (format === "svg") {
+    await fs.writeFile(outputPath, await page.evaluate(serializeCardSvg), "utf8");
+    return;
+  }
+  if (format === "webp") {
+    // Playwright only screenshots png and jpeg, so Chromium re-encodes the png through a canvas
+    const png = await page.screenshot({ type: "png" });
+    const dataUrl = await page.evaluate(async (base64) => {
+      const image = new Image();
+      image.src = "data:image/png;base64," + base64;
+      await image.decode();
+      const canvas = document.createElement("canvas");
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      canvas.getContext("2d").drawImage(image, 0, 0);
+      return canvas.toDataURL("image/webp", 0.92);
+    }, png.toString("base64"));
+    if (!dataUrl.startsWith("data:image/webp;base64,")) {
+      throw new Error("This Chromium build cannot encode WebP, use png or jpeg instead");
+    }
+    await fs.writeFile(outputPath, Buffer.from(dataUrl.slice(dataUrl.indexOf(",") + 1), "base64"));
+    return;
+  }
+  await page.screenshot({ path: outputPath, type: format });
+}
+
+// Every placeholder buildTemplateData fills, documented for template authors
+export const TemplatePlaceholders = {
+  STYLE: "Contents of card.css plus theme variables (--card-bg, --card-accent, ...), place it inside a <style> tag",
+  BRAND_ICON: "Provider logo as inline SVG (class brand-icon)",
+  BRAND_NAME: "Provider name: Claude Code or Codex",
+  FOOTER_TEXT: "Command that produces the card",
+  DATE_RANGE: "Report period, e.g. Jan 5 - Feb 3, 2026",
+  HERO_VALUE: "Headline number: hours, else messages, else sessions",
+  HERO_SIZE_CLASS: "size-lg, size-md, size-sm or size-xs depending on HERO_VALUE length",
+  HERO_LABEL: "Caption for HERO_VALUE, e.g. hours with Claude",
+  SPENT: "Estimated spend, e.g. $12.50 spent (empty when unknown)",
+  MESSAGES: "Total messages",
+  SESSIONS: "Total sessions",
+  ACTIVE_DAYS: "Days with activity",
+  MSGS_PER_DAY: "Average messages per day",
+  LINES_ADDED: "Lines added, e.g. +12K",
+  LINES_REMOVED: "Lines removed, e.g. -3K",
+  TOP_LANG: "Most used language, shortened (TS, Py, ...)",
+  TOP_TOOL: "Most used tool",
+  PEAK_TIME: "Peak coding period, e.g. Night owl mode",
+  USER_TITLE: "Funny title based on your stats",
+  TITLE_REASON: "One-line reason for USER_TITLE",
+  ROAST: "Roast line based on your stats",
+  DISSATISFIED: "Dissatisfied session count",
+  FRICTION: "Friction event count",
+  UNDO_RATE: "Share of sessions not achieved, e.g. 23%",
+  VS_LABEL: "Period the deltas compare against, e.g. vs last month (empty without an earlier snapshot)",
+  DELTA_HOURS: "Change in hours since the previous snapshot, e.g. +12h",
+  DELTA_SESSIONS: "Change in sessions, e.g. -4",
+  DELTA_LINES: "Change in lines added, e.g. +3.2K",
+  DELTA_ACHIEVEMENT: "Change in achievement rate, e.g. +5 pts",
+  DELTA_FRICTION: "Change in friction events, e.g. +2"
+};
+
+// Placeholders of the team leaderboard template (templates/team)
+export const TeamPlaceholders = {
+  STYLE: "Contents of card.css plus theme variables, as for insights cards",
+  BRAND_ICON: "Provider logo as inline SVG (class brand-icon)",
+  TEAM_NAME: "Team name from --name (default: Team)",
+  DATE_RANGE: "Earliest to latest report date across the team",
+  FOOTER_TEXT: "Command that produces the card",
+  HERO_VALUE: "Total team hours, else sessions",
+  HERO_SIZE_CLASS: "size-lg, size-md, size-sm or size-xs depending on HERO_VALUE length",
+  HERO_LABEL: "Caption for HERO_VALUE, e.g. team hours across 5 people",
+  TOP_LINES_NAME: "Who added the most lines",
+  TOP_LINES_VALUE: "Their lines added, e.g. +48K",
+  MOST_SESSIONS_NAME: "Who ran the most sessions",
+  MOST_SESSIONS_VALUE: "Their session count",
+  BEST_ACHIEVEMENT_NAME: "Who has the best achievement rate (- when no report has one)",
+  BEST_ACHIEVEMENT_VALUE: "Their achievement rate, e.g. 92%",
+  LEADERBOARD_ROWS: "HTML rows (div.member) ranked by hours: rank, name, funny title and hours",
+  PEAK_SPREAD: "How many people peak in each period, e.g. Night 3 · Morning 1",
+  TEAM_TITLE: "Team-level funny title",
+  TEAM_TITLE_REASON: "One-line reason for TEAM_TITLE"
+};
+
+const MaxLeaderboardRows = 6;
+
+function buildTeamTemplateData(team, css, theme = resolveTheme()) {
+  const brand = BRANDS[team.provider] || BRANDS.claude;
+  const { hours, sessions } = team.totals;
+  const heroValue = hours > 0 ? Math.round(hours) + "h" : formatNumber(sessions, { showZero: true });
+  const people = team.members.length + " people";
+  const { linesAdded, sessions: mostSessions, achievementRate } = team.leaders;
+  const teamTitle = getTeamTitle(team);
+
+  const shown = team.members.slice(0, MaxLeaderboardRows);
+  const rows = shown.map((member, index) => {
+    const title = getFunnyTitle(member.data).title;
+    const memberHours = member.hours > 0 ? Math.round(member.hours) + "h" : "-";
+    return [
+      '<div class="member">',
+      `<span class="member-rank">${index + 1}</span>`,
+      `<span class="member-name">${escapeHtml(member.name)}</span>`,
+      `<span class="member-title">${escapeHtml(title)}</span>`,
+      `<span class="member-hours">${escapeHtml(memberHours)}</span>`,
+      "</div>"
+    ].join("");
+  });
+  const hidden = team.members.length - shown.length;
+  if (hidden > 0) {
+    rows.push(`<div class="member member-more">+${hidden} more</div>`);
+  }
+
+  let dateRange = "";
+  try {
+    dateRange = formatDateRange(team.dateRange.start, team.dateRange.end);
+  } catch {
+    dateRange = "";
+  }
+
+  const text = {
+    TEAM_NAME: team.name,
+    DATE_RANGE: dateRange || "All time",
+    FOOTER_TEXT: "npx costats team",
+    HERO_VALUE: heroValue,
+    HERO_SIZE_CLASS: getHeroSizeClass(heroValue),
+    HERO_LABEL: (hours > 0 ? "team hours across " : "sessions across ") + people,
+    TOP_LINES_NAME: linesAdded.name,
+    TOP_LINES_VALUE: formatNumber(linesAdded.linesAdded, { prefix: "+" }),
+    MOST_SESSIONS_NAME: mostSessions.name,
+    MOST_SESSIONS_VALUE: formatNumber(mostSessions.sessions),
+    BEST_ACHIEVEMENT_NAME: achievementRate ? achievementRate.name : "-",
+    BEST_ACHIEVEMENT_VALUE: achievementRate ? Math.round(achievementRate.achievementRate * 100) + "%" : "-",
+    PEAK_SPREAD: team.peakSpread.map((entry) => `${entry.period} ${entry.count}`).join(" · "),
+    TEAM_TITLE: teamTitle.title,
+    TEAM_TITLE_REASON: teamTitle.reason
+  };
+  return {
+    STYLE: cardStyle(css, theme),
+    BRAND_ICON: brand.icon,
+    LEADERBOARD_ROWS: rows.join("\n"),
+    ...Object.fromEntries(Object.entries(text).map(([key, value]) => [key, escapeHtml(value)]))
+  };
+}
+
+// Theme rules go last so they do not break @import at the top of card.css
+function cardStyle(css, theme) {
+  return css + "\n" + buildThemeCss(theme);
+}
+
+function buildTemplateData(data, css, theme = resolveTheme(), { previous } = {}) {
+  const brand = BRANDS[data.provider] || BRANDS.claude;
+  const text = buildCardText(data, previous);
+  return {
+    STYLE: cardStyle(css, theme),
+    BRAND_ICON: brand.icon,
+    ...Object.fromEntries(Object.entries(text).map(([key, value]) => [key, escapeHtml(value)]))
+  };
+}
+
+// Card text as plain strings, shared by the HTML templates and the native renderer
+function buildCardText(data, previous) {
+  const brand = BRANDS[data.provider] || BRANDS.claude;
+
   // Safely extract values with fallbacks
   const hours = safeNumber(data.totals?.hours);
   const messages = safeNumber(data.totals?.messages);
@@ -386,12 +826,13 @@ function buildTemplateData(data, css) {
   const linesAdded = safeNumber(data.lines?.added);
   const linesRemoved = safeNumber(data.lines?.removed);
   const msgsPerDay = safeNumber(data.messagesPerDay);
+  const costUsd = safeNumber(data.costUsd);
 
   // Determine hero value - prefer hours if available
   let heroValue, heroLabel;
   if (hours > 0) {
     heroValue = Math.round(hours) + "h";
-    heroLabel = "hours with Claude";
+    heroLabel = "hours with " + brand.assistant;
   } else if (messages > 0) {
     heroValue = formatNumber(messages, { showZero: true });
     heroLabel = "messages sent";
@@ -426,28 +867,80 @@ function buildTemplateData(data, css) {
   const undoRate = achievementRate < 1 ? Math.round((1 - achievementRate) * 100) + "%" : "-";
 
   return {
-    STYLE: css,
-    HERO_VALUE: escapeHtml(heroValue),
+    BRAND_NAME: brand.name,
+    FOOTER_TEXT: brand.footer,
+    HERO_VALUE: heroValue,
     HERO_SIZE_CLASS: getHeroSizeClass(heroValue),
-    HERO_LABEL: escapeHtml(heroLabel),
-    SESSIONS: escapeHtml(formatNumber(sessions)),
-    LINES_ADDED: escapeHtml(formatNumber(linesAdded, { prefix: "+" })),
-    LINES_REMOVED: escapeHtml(formatNumber(linesRemoved, { prefix: "-" })),
-    DATE_RANGE: escapeHtml(dateRange || "All time"),
-    MSGS_PER_DAY: escapeHtml(formatNumber(msgsPerDay, { showZero: true, fallback: "0" })),
-    TOP_LANG: escapeHtml(getTopLanguage(data)),
-    PEAK_TIME: escapeHtml(getPeakTimeText(data)),
-    USER_TITLE: escapeHtml(funnyTitle.title),
-    TITLE_REASON: escapeHtml(funnyTitle.reason),
-    ROAST: escapeHtml(roast),
-    DISSATISFIED: escapeHtml(formatNumber(dissatisfied, { fallback: "-" })),
-    FRICTION: escapeHtml(formatNumber(frictionCount, { fallback: "-" })),
-    UNDO_RATE: escapeHtml(undoRate)
+    HERO_LABEL: heroLabel,
+    SPENT: costUsd > 0 ? "$" + formatSpent(costUsd) + " spent" : "",
+    MESSAGES: formatNumber(messages),
+    SESSIONS: formatNumber(sessions),
+    ACTIVE_DAYS: formatNumber(safeNumber(data.totals?.days)),
+    LINES_ADDED: formatNumber(linesAdded, { prefix: "+" }),
+    LINES_REMOVED: formatNumber(linesRemoved, { prefix: "-" }),
+    DATE_RANGE: dateRange || "All time",
+    MSGS_PER_DAY: formatNumber(msgsPerDay, { showZero: true, fallback: "0" }),
+    TOP_LANG: getTopLanguage(data),
+    TOP_TOOL: getTopTool(data),
+    PEAK_TIME: getPeakTimeText(data),
+    USER_TITLE: funnyTitle.title,
+    TITLE_REASON: funnyTitle.reason,
+    ROAST: roast,
+    DISSATISFIED: formatNumber(dissatisfied, { fallback: "-" }),
+    FRICTION: formatNumber(frictionCount, { fallback: "-" }),
+    UNDO_RATE: undoRate,
+    ...buildDeltaText(data, previous)
+  };
+}
+
+// "vs last month" row; every value is empty when there is no earlier snapshot
+function buildDeltaText(data, previous) {
+  if (!previous) {
+    return {
+      VS_LABEL: "",
+      DELTA_HOURS: "",
+      DELTA_SESSIONS: "",
+      DELTA_LINES: "",
+      DELTA_ACHIEVEMENT: "",
+      DELTA_FRICTION: ""
+    };
+  }
+  const delta = Object.fromEntries(compareSnapshots(previous, data).map((row) => [row.key, row.delta]));
+  return {
+    VS_LABEL: getComparisonLabel(data, previous),
+    DELTA_HOURS: formatDelta(delta.hours, "h"),
+    DELTA_SESSIONS: formatDelta(delta.sessions),
+    DELTA_LINES: formatDelta(delta.linesAdded),
+    DELTA_ACHIEVEMENT: formatDelta(delta.achievementRate === null ? null : delta.achievementRate * 100, " pts"),
+    DELTA_FRICTION: formatDelta(delta.friction)
   };
 }
 
+function getComparisonLabel(data, previous) {
+  const gapDays = (Date.parse(data.dateRange.end) - Date.parse(previous.dateRange.end)) / (24 * 60 * 60 * 1000);
+  if (gapDays >= 25 && gapDays <= 35) return "vs last month";
+  const range = formatDateRange(previous.dateRange.start, previous.dateRange.end);
+  return range ? "vs " + range : "vs last report";
+}
+
+// Signed change, "-" when either period lacks the metric
+function formatDelta(value, suffix = "") {
+  if (value === null || value === undefined) return "-";
+  if (Math.round(value) === 0) return "0" + suffix;
+  return formatNumber(value, { prefix: "+", allowNegative: true }) + suffix;
+}
+
+// Fills {{KEY}} placeholders and fails loudly instead of leaving them in the card
 function applyTemplate(template, replacements) {
-  let output = template;
+  const missing = template.placeholders.filter((key) => !(key in replacements));
+  if (missing.length > 0) {
+    throw new Error(`Template "${template.name}" needs placeholders that have no data: ${missing.join(", ")}`);
+  }
+  const unknown = findPlaceholders(template.html).filter((key) => !(key in replacements));
+  if (unknown.length > 0) {
+    throw new Error(`Template "${template.name}" uses unknown placeholders: ${unknown.join(", ")}`);
+  }
+  let output = template.html;
   for (const [key, value] of Object.entries(replacements)) {
     output = output.replaceAll(`{{${key}}}`, value ?? "");
   }
@@ -512,6 +1005,9 @@ function isMissingBrowserError(error) {
 }
 
 async function installChromium() {
+  if (isEnvDisabled(process.env.COSTATS_NO_INSTALL)) {
+    throw new Error("Chromium is not installed. Run `npx playwright install chromium` or use --renderer native.");
+  }
   const cliPath = resolvePlaywrightCli();
   const env = { ...process.env };
   await fs.mkdir(env.PLAYWRIGHT_BROWSERS_PATH, { recursive: true });
@@ -0,0 +1,503 @@
+import { parse } from "node-html-parser";
+import { computePeakPeriod, escapeHtml, parseCompactNumber } from "./utils.js";
+
+const HeadingSelector = "h1, h2, h3, h4, h5, .chart-title, .section-title";
+const RequiredSections = ["dateRange", "totals", "lines", "tools"];
+const StrippedSelector = "script, style, noscript, link, meta, img, canvas, iframe, template, button, input, select, textarea";
+// Advice sections of the report, nothing in the insights schema is read from them
+const DroppedSections = [/features? to try/i, /new ways to use/i, /on the horizon/i, /claude\.md/i, /suggestions?/i];
+const InlineTags = new Set([
+  "A", "ABBR", "B", "CODE", "EM", "I", "KBD", "MARK", "S", "SMALL", "SPAN", "STRONG", "SUB", "SUP", "TIME", "U"
+]);
+const MonthNames = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const Periods = [
+  { label: "Morning", pattern: /morning/i },
+  { label: "Afternoon", pattern: /afternoon/i },
+  { label: "Evening", pattern: /evening/i },
+  { label: "Night", pattern: /night/i }
+];
+
+// Report data keys filled by each section, used to merge fallback results
+export const SectionFields = {
+  dateRange: ["dateRange"],
+  totals: ["totals", "messagesPerDay"],
+  lines: ["lines", "filesTouched"],
+  tools: ["tools"],
+  languages: ["languages"],
+  outcomes: ["outcomes"],
+  satisfaction: ["satisfaction"],
+  frictionCategories: ["frictionCategories", "frictionCount"],
+  multiClauding: ["multiClauding"],
+  timeOfDay: ["timeOfDay", "peakPeriod"],
+  responseTime: ["medianResponseTime"]
+};
+
+// Each reader returns undefined when the section is absent from the report,
+// null when it is present but could not be parsed, or the extracted fields.
+const SectionReaders = {
+  dateRange: readDateRange,
+  totals: readTotals,
+  lines: readLines,
+  tools: (report) => readCountSection(report, "tools", [/top tools/i, /tools used/i, /^tools$/i]),
+  languages: readLanguages,
+  outcomes: (report) => readCountSection(report, "outcomes", [/outcomes?/i]),
+  satisfaction: (report) => readCountSection(report, "satisfaction", [/satisfaction/i]),
+  frictionCategories: readFriction,
+  multiClauding: readMultiClauding,
+  timeOfDay: readTimeOfDay,
+  responseTime: readResponseTime
+};
+
+export function parseReportHtml(html) {
+  const root = parse(html, { comment: false });
+  const scripts = root.querySelectorAll("script").map((node) => node.text);
+  for (const node of root.querySelectorAll("script, style, noscript")) {
+    node.remove();
+  }
+
+  const report = {
+    root,
+    scripts,
+    text: cleanText(root.text),
+    pairs: collectPairs([root])
+  };
+
+  const data = { title: readTitle(root) };
+  const unparsed = [];
+  for (const [section, reader] of Object.entries(SectionReaders)) {
+    const result = reader(report);
+    if (result === null || (result === undefined && RequiredSections.includes(section))) {
+      unparsed.push(section);
+      continue;
+    }
+    if (result) {
+      Object.assign(data, result);
+    }
+  }
+  return { data, unparsed };
+}
+
+// Turns the report into compact text for Claude: no scripts, styles or SVG, no advice sections
+// the schema has no field for, label/value rows and table rows on one line each, and the hour
+// counts that only live in the chart script written out as text.
+export function shrinkReportHtml(html) {
+  const root = parse(html, { comment: false });
+  const hourCounts = readHourCountsFromScripts(root.querySelectorAll("script").map((node) => node.text));
+  for (const node of root.querySelectorAll(StrippedSelector)) {
+    node.remove();
+  }
+  for (const svg of root.querySelectorAll("svg")) {
+    const labels = cleanText(svg.querySelectorAll("title, text").map((node) => node.text).join(" "));
+    if (labels) {
+      svg.replaceWith(escapeHtml(labels));
+    } else {
+      svg.remove();
+    }
+  }
+  // The roast lives in a div without a heading; naming it keeps it as text and ends the section
+  // before it, which may be one that is dropped
+  for (const node of root.querySelectorAll(".fun-ending")) {
+    node.insertAdjacentHTML("afterbegin", "<h2>Fun ending</h2>");
+  }
+  for (const heading of root.querySelectorAll(HeadingSelector)) {
+    if (heading.parentNode && DroppedSections.some((pattern) => pattern.test(cleanText(heading.text)))) {
+      const scope = sectionScope(heading);
+      [heading, ...scope].forEach((node) => node.remove());
+    }
+  }
+
+  const lines = [`Title: ${readTitle(root)}`];
+  lines.push(...toTextLines(root.querySelector("body") || root));
+  if (hourCounts) {
+    const counts = Object.entries(hourCounts).map(([hour, count]) => `${hour}: ${count}`);
+    lines.push("## Messages by hour of day", counts.join(", "));
+  }
+  return lines.filter((line, index) => line && line !== lines[index - 1]).join("\n");
+}
+
+function toTextLines(node) {
+  if (node.nodeType === 3) {
+    return [node.text];
+  }
+  if (node.nodeType !== 1) {
+    return [];
+  }
+  if (isHeading(node)) {
+    return [`## ${cleanText(node.text)}`];
+  }
+  if (node.tagName === "TR") {
+    return [node.querySelectorAll("th, td").map((cell) => cleanText(cell.text)).join(" | ")];
+  }
+  const children = node.childNodes.filter((child) => child.nodeType === 1);
+  const label = children.find((child) => hasClassSuffix(child, "label"));
+  const value = children.find((child) => hasClassSuffix(child, "value") || hasClassSuffix(child, "count"));
+  if (label && value) {
+    return [`${cleanText(label.text)}: ${cleanText(value.text)}`];
+  }
+
+  // Inline children share a line, block children start new ones
+  const lines = [""];
+  for (const child of node.childNodes) {
+    const childLines = toTextLines(child);
+    if (child.nodeType === 1 && !InlineTags.has(child.tagName)) {
+      lines.push(...childLines, "");
+    } else {
+      lines[lines.length - 1] += childLines.join(" ");
+    }
+  }
+  return lines.map(cleanText).filter(Boolean);
+}
+
+function readTitle(root) {
+  const title = cleanText(root.querySelector("title")?.text || "");
+  return title || "Claude Code Insights";
+}
+
+function readDateRange(report) {
+  const iso = report.text.match(/\d{4}-\d{2}-\d{2}/g);
+  if (iso && iso.length >= 2) {
+    return { dateRange: { start: iso[0], end: iso[1] } };
+  }
+  const written = [...report.text.matchAll(/\b([A-Z][a-z]{2,8})\.? (\d{1,2}),? (\d{4})\b/g)]
+    .map((match) => toIsoDate(match[3], match[1], match[2]))
+    .filter(Boolean);
+  if (written.length >= 2) {
+    return { dateRange: { start: written[0], end: written[1] } };
+  }
+  return undefined;
+}
+
+function readTotals(report) {
+  const messages = findPairValue(report.pairs, /^(total )?messages?$/i) ?? findTextCount(report.text, /([\d,.]+[KkMm]?)\s+messages?\b/i);
+  const sessions = findPairValue(report.pairs, /^(total )?sessions?$/i) ?? findTextCount(report.text, /([\d,.]+[KkMm]?)\s+sessions?\b/i);
+  if (messages === null && sessions === null) {
+    return undefined;
+  }
+  if (messages === null || sessions === null) {
+    return null;
+  }
+  const days = findPairValue(report.pairs, /^(active )?days?( active)?$/i) ?? findTextCount(report.text, /([\d,]+)\s+(?:active )?days\b/i) ?? 0;
+  const hours = findPairValue(report.pairs, /^(total )?hours?$/i) ?? findTextCount(report.text, /([\d,.]+)\s+hours\b/i);
+  const messagesPerDay =
+    findPairValue(report.pairs, /^(msgs?|messages?)\s*(\/|per)\s*day$/i) ??
+    (days > 0 ? Math.round((messages / days) * 10) / 10 : 0);
+
+  const totals = { messages, sessions, days };
+  if (hours !== null) {
+    totals.hours = hours;
+  }
+  return { totals, messagesPerDay };
+}
+
+function readLines(report) {
+  let added = findPairValue(report.pairs, /lines? added/i);
+  let removed = findPairValue(report.pairs, /lines? removed/i);
+  if (added === null || removed === null) {
+    const combined = report.pairs.find((pair) => /^lines?( changed)?$/i.test(pair.label));
+    const source = combined ? combined.value : report.text.match(/\+[\d,.]+[KkMm]?\s*\/\s*[-−][\d,.]+[KkMm]?\s*lines/i)?.[0];
+    if (!source) {
+      return undefined;
+    }
+    added = parseCompactNumber(source.match(/\+\s*([\d,.]+[KkMm]?)/)?.[1]);
+    removed = parseCompactNumber(source.match(/[-−]\s*([\d,.]+[KkMm]?)/)?.[1]);
+    if (added === null || removed === null) {
+      return null;
+    }
+  }
+  const filesTouched = findPairValue(report.pairs, /^files?( touched| changed| modified)?$/i) ?? 0;
+  return { lines: { added, removed }, filesTouched };
+}
+
+function readCountSection(report, key, patterns) {
+  const scope = findSection(report.root, patterns);
+  if (!scope) {
+    return undefined;
+  }
+  const items = toCountItems(collectPairs(scope));
+  if (items.length === 0) {
+    return null;
+  }
+  return { [key]: items };
+}
+
+function readLanguages(report) {
+  const scope = findSection(report.root, [/languages?/i]);
+  if (!scope) {
+    return undefined;
+  }
+  const languages = collectPairs(scope)
+    .map((pair) => {
+      const amount = parseCompactNumber(pair.value);
+      if (amount === null) {
+        return null;
+      }
+      return pair.value.includes("%")
+        ? { name: pair.label, percentage: amount }
+        : { name: pair.label, lines: amount };
+    })
+    .filter(Boolean);
+  return languages.length > 0 ? { languages } : null;
+}
+
+function readFriction(report) {
+  const scope = findSection(report.root, [/friction (categories|types)/i, /friction/i]);
+  if (!scope) {
+    return undefined;
+  }
+  const frictionCategories = toCountItems(collectPairs(scope));
+  if (frictionCategories.length === 0) {
+    return null;
+  }
+  const frictionCount = frictionCategories.reduce((sum, item) => sum + item.count, 0);
+  return { frictionCategories, frictionCount };
+}
+
+function readMultiClauding(report) {
+  const scope = findSection(report.root, [/multi-?claud/i]);
+  if (!scope) {
+    return undefined;
+  }
+  const pairs = collectPairs(scope);
+  const text = cleanText(scope.map((node) => node.text).join(" "));
+  const overlapEvents =
+    findPairValue(pairs, /overlap/i) ?? findTextCount(text, /([\d,]+)\s+overlap(?:ping)? events?/i);
+  const sessionsInvolved =
+    findPairValue(pairs, /sessions?/i) ?? findTextCount(text, /([\d,]+)\s+sessions? involved/i);
+  const percentOfMessages =
+    findPairValue(pairs, /%|of messages/i) ?? findTextCount(text, /([\d.]+)%\s+of (?:all )?messages/i);
+  if (overlapEvents === null && sessionsInvolved === null && percentOfMessages === null) {
+    return null;
+  }
+  const multiClauding = {};
+  if (overlapEvents !== null) multiClauding.overlapEvents = overlapEvents;
+  if (sessionsInvolved !== null) multiClauding.sessionsInvolved = sessionsInvolved;
+  if (percentOfMessages !== null) multiClauding.percentOfMessages = percentOfMessages;
+  return { multiClauding };
+}
+
+function readTimeOfDay(report) {
+  const hourCounts = readHourCountsFromScripts(report.scripts);
+  if (hourCounts) {
+    const peakPeriod = computePeakPeriod(hourCounts);
+    return { timeOfDay: { hourCounts, peakPeriod }, peakPeriod };
+  }
+
+  const scope = findSection(report.root, [/time of day/i, /when you (code|work)/i]);
+  if (!scope) {
+    return undefined;
+  }
+  const pairs = collectPairs(scope);
+  const hours = {};
+  const periods = {};
+  for (const pair of pairs) {
+    const count = parseCompactNumber(pair.value);
+    if (count === null) {
+      continue;
+    }
+    const hour = toHour(pair.label);
+    if (hour !== null) {
+      hours[String(hour)] = (hours[String(hour)] || 0) + count;
+      continue;
+    }
+    const period = Periods.find((item) => item.pattern.test(pair.label));
+    if (period) {
+      periods[period.label] = (periods[period.label] || 0) + count;
+    }
+  }
+  if (Object.keys(hours).length > 0) {
+    const peakPeriod = computePeakPeriod(hours);
+    return { timeOfDay: { hourCounts: hours, peakPeriod }, peakPeriod };
+  }
+  const ranked = Object.entries(periods).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) {
+    return null;
+  }
+  const peakPeriod = ranked[0][0];
+  return { timeOfDay: { hourCounts: {}, peakPeriod }, peakPeriod };
+}
+
+function readResponseTime(report) {
+  const pair = report.pairs.find((item) => /median/i.test(item.label) && /respon/i.test(item.label));
+  const source = pair ? pair.value : report.text.match(/median[^.\d]{0,40}?((?:[\d.]+\s*(?:m|min|s|sec)\w*\s*)+)/i)?.[1];
+  if (!source) {
+    return undefined;
+  }
+  const seconds = parseDurationSeconds(source);
+  return seconds === null ? null : { medianResponseTime: seconds };
+}
+
+function readHourCountsFromScripts(scripts) {
+  for (const script of scripts) {
+    const match = script.match(/hourCounts["']?\s*[=:]\s*(\{[^{}]*\})/i);
+    if (!match) {
+      continue;
+    }
+    try {
+      const json = match[1].replace(/([{,]\s*)(\d{1,2})\s*:/g, '$1"$2":').replace(/'/g, '"');
+      const raw = JSON.parse(json);
+      const hourCounts = {};
+      for (const [hour, count] of Object.entries(raw)) {
+        const value = Number(count);
+        if (Number.isFinite(value)) {
+          hourCounts[String(Number(hour))] = value;
+        }
+      }
+      if (Object.keys(hourCounts).length > 0) {
+        return hourCounts;
+      }
+    } catch {
+      // Not a plain object literal, keep looking
+    }
+  }
+  return null;
+}
+
+function findSection(root, patterns) {
+  const headings = root.querySelectorAll(HeadingSelector);
+  for (const pattern of patterns) {
+    const heading = headings.find((node) => pattern.test(cleanText(node.text)));
+    if (heading) {
+      return sectionScope(heading);
+    }
+  }
+  return null;
+}
+
+// Widen from the heading to the largest ancestor that holds no peer heading;
+// when the parent already holds one, fall back to the following siblings.
+function sectionScope(heading) {
+  const rank = headingRank(heading);
+  let node = heading;
+  while (node.parentNode && node.parentNode.tagName && !["BODY", "HTML"].includes(node.parentNode.tagName)) {
+    const parent = node.parentNode;
+    const hasPeer = parent
+      .querySelectorAll(HeadingSelector)
+      .some((other) => other !== heading && headingRank(other) <= rank);
+    if (hasPeer) {
+      break;
+    }
+    node = parent;
+  }
+  if (node !== heading) {
+    return [node];
+  }
+
+  const scope = [];
+  let sibling = heading.nextElementSibling;
+  while (sibling) {
+    const isPeer =
+      (isHeading(sibling) && headingRank(sibling) <= rank) ||
+      sibling.querySelectorAll(HeadingSelector).some((other) => headingRank(other) <= rank);
+    if (isPeer) {
+      break;
+    }
+    scope.push(sibling);
+    sibling = sibling.nextElementSibling;
+  }
+  return scope;
+}
+
+function isHeading(node) {
+  return /^H[1-6]$/.test(node.tagName) || hasClassSuffix(node, "chart-title") || hasClassSuffix(node, "section-title");
+}
+
+function headingRank(node) {
+  const match = /^H(\d)$/.exec(node.tagName || "");
+  return match ? Number(match[1]) : 6;
+}
+
+// Collect label/value pairs from stat cards, bar rows, tables and definition lists
+function collectPairs(scope) {
+  const pairs = [];
+  for (const container of scope) {
+    for (const label of container.querySelectorAll("[class]")) {
+      if (!hasClassSuffix(label, "label") || !label.parentNode) {
+        continue;
+      }
+      const value = label.parentNode.childNodes.find(
+        (node) => node !== label && node.nodeType === 1 && (hasClassSuffix(node, "value") || hasClassSuffix(node, "count"))
+      );
+      if (value) {
+        pairs.push({ label: cleanText(label.text), value: cleanText(value.text) });
+      }
+    }
+    for (const row of container.querySelectorAll("tr")) {
+      const cells = row.querySelectorAll("th, td");
+      if (cells.length >= 2) {
+        pairs.push({ label: cleanText(cells[0].text), value: cleanText(cells[cells.length - 1].text) });
+      }
+    }
+    for (const term of container.querySelectorAll("dt")) {
+      const detail = term.nextElementSibling;
+      if (detail && detail.tagName === "DD") {
+        pairs.push({ label: cleanText(term.text), value: cleanText(detail.text) });
+      }
+    }
+  }
+  return pairs.filter((pair) => pair.label && pair.value);
+}
+
+function hasClassSuffix(node, suffix) {
+  const names = node.classList ? [...node.classList.values()] : [];
+  return names.some((name) => name === suffix || name.endsWith("-" + suffix) || name.endsWith("_" + suffix));
+}
+
+function toCountItems(pairs) {
+  const items = [];
+  for (const pair of pairs) {
+    const count = parseCompactNumber(pair.value);
+    if (count !== null && !pair.value.includes("%")) {
+      items.push({ name: pair.label, count });
+    }
+  }
+  return items;
+}
+
+function findPairValue(pairs, pattern) {
+  const pair = pairs.find((item) => pattern.test(item.label));
+  return pair ? parseCompactNumber(pair.value) : null;
+}
+
+function findTextCount(text, pattern) {
+  const match = text.match(pattern);
+  return match ? parseCompactNumber(match[1]) : null;
+}
+
+function toHour(label) {
+  const match = /^(\d{1,2})(?::00)?\s*(am|pm)?$/i.exec(label.trim());
+  if (!match) {
+    return null;
+  }
+  let hour = Number(match[1]);
+  const meridiem = match[2]?.toLowerCase();
+  if (meridiem === "pm" && hour < 12) hour += 12;
+  if (meridiem === "am" && hour === 12) hour = 0;
+  return hour >= 0 && hour <= 23 ? hour : null;
+}
+
+function toIsoDate(year, monthName, day) {
+  const month = MonthNames.indexOf(monthName.slice(0, 3).toLowerCase());
+  if (month === -1) {
+    return null;
+  }
+  return `${year}-${String(month + 1).padStart(2, "0")}-${String(Number(day)).padStart(2, "0")}`;
+}
+
+function parseDurationSeconds(value) {
+  let seconds = 0;
+  let matched = false;
+  for (const match of value.matchAll(/([\d.]+)\s*(h|hr|hours?|m|min|minutes?|s|sec|seconds?)\b/gi)) {
+    const amount = Number(match[1]);
+    if (!Number.isFinite(amount)) {
+      continue;
+    }
+    const unit = match[2].toLowerCase();
+    seconds += unit.startsWith("h") ? amount * 3600 : unit.startsWith("m") ? amount * 60 : amount;
+    matched = true;
+  }
+  return matched ? Math.round(seconds * 10) / 10 : null;
+}
+
+function cleanText(value) {
+  return String(value || "").replace(/\s+/g, " ").trim();
+}
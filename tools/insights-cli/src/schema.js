@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { OutputFormats } from "./output-formats.js";
 
 const numberish = z.preprocess((value) => {
   if (typeof value === "string") {
@@ -29,6 +30,7 @@ const badgeSchema = z.object({
 
 export const insightsSchema = z.object({
   title: z.string().default("Claude Code Insights"),
+  provider: z.enum(["claude", "codex"]).optional(),
   dateRange: z.object({
     start: z.string(),
     end: z.string()
@@ -75,7 +77,8 @@ export const insightsSchema = z.object({
   peakPeriod: z.string().optional(),
   medianResponseTime: numberish.optional(),
   frictionCount: numberish.optional(),
-  frictionCategories: z.array(countItem).optional()
+  frictionCategories: z.array(countItem).optional(),
+  costUsd: numberish.optional()
 });
 
 export const enrichmentSchema = z.object({
@@ -83,10 +86,134 @@ export const enrichmentSchema = z.object({
   personalityBadge: badgeSchema
 });
 
+const rateCardSchema = z
+  .object({
+    input: z.number().nonnegative(),
+    output: z.number().nonnegative(),
+    cacheRead: z.number().nonnegative(),
+    cacheWrite: z.number().nonnegative(),
+    tierThreshold: z.number().int().positive(),
+    inputAboveTier: z.number().nonnegative(),
+    outputAboveTier: z.number().nonnegative(),
+    cacheReadAboveTier: z.number().nonnegative(),
+    cacheWriteAboveTier: z.number().nonnegative()
+  })
+  .partial()
+  .strict();
+
+// Prices in USD per million tokens, keyed by provider then model name (or "fallback")
+export const pricingOverridesSchema = z
+  .object({
+    claude: z.record(rateCardSchema),
+    codex: z.record(rateCardSchema)
+  })
+  .partial()
+  .strict();
+
+// Extra regexes masked before a report is sent to a model
+export const redactionConfigSchema = z
+  .object({
+    patterns: z.array(z.string().min(1))
+  })
+  .strict();
+
+// Model answers saved by costats eval --record, replayed in order; requestHash is the
+// sha256 of the request body they answered
+export const evalRecordingSchema = z.object({
+  provider: z.string(),
+  model: z.string(),
+  extractor: z.string().optional(),
+  promptVersion: z.number().int(),
+  recordedAt: z.string().optional(),
+  exchanges: z.array(
+    z.object({
+      requestHash: z.string(),
+      response: z.unknown()
+    })
+  )
+});
+
+export const templateManifestSchema = z.object({
+  name: z.string().optional(),
+  description: z.string().optional(),
+  viewport: z
+    .object({
+      width: z.number().int().positive(),
+      height: z.number().int().positive()
+    })
+    .optional(),
+  format: z.enum(OutputFormats).optional(),
+  placeholders: z.array(z.string()).optional()
+});
+
+// JSON Schema for the Claude tool that returns insights. Covers the zod types used above;
+// numberish fields are plain numbers for the model, the preprocess only cleans up strings.
+// provider and costUsd are set by costats, never read from a report.
+export function insightsJsonSchema() {
+  return toJsonSchema(insightsSchema.omit({ provider: true, costUsd: true }));
+}
+
+function toJsonSchema(schema) {
+  const def = schema._def;
+  switch (def.typeName) {
+    case "ZodObject": {
+      const shape = schema.shape;
+      const required = Object.keys(shape).filter((key) => !shape[key].isOptional());
+      return {
+        type: "object",
+        properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, toJsonSchema(value)])),
+        required
+      };
+    }
+    case "ZodArray":
+      return { type: "array", items: toJsonSchema(def.type) };
+    case "ZodRecord":
+      return { type: "object", additionalProperties: toJsonSchema(def.valueType) };
+    case "ZodEnum":
+      return { type: "string", enum: [...def.values] };
+    case "ZodString":
+      return { type: "string" };
+    case "ZodNumber":
+      return { type: "number" };
+    case "ZodEffects":
+      return toJsonSchema(def.schema);
+    case "ZodOptional":
+      return toJsonSchema(def.innerType);
+    case "ZodDefault":
+      return { ...toJsonSchema(def.innerType), default: def.defaultValue() };
+    default:
+      throw new Error(`No JSON Schema mapping for ${def.typeName}`);
+  }
+}
+
 export function validateInsights(data) {
   return insightsSchema.parse(data);
 }
 
+export function validatePricingOverrides(data) {
+  return pricingOverridesSchema.parse(data);
+}
+
+export function validateRedactionConfig(data) {
+  return redactionConfigSchema.parse(data);
+}
+
+export function validateEvalRecording(data) {
+  return evalRecordingSchema.parse(data);
+}
+
+export function validateTemplateManifest(data) {
+  return templateManifestSchema.parse(data);
+}
+
 export function validateEnrichment(data) {
   return enrichmentSchema.parse(data);
 }
+
+// Flattens zod issues into one line for CLI error messages
+export function formatValidationError(err) {
+  if (err?.issues) {
+    return err.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`).join("; ");
+  }
+  return err instanceof Error ? err.message : String(err);
+}
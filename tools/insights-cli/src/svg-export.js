@@ -0,0 +1,169 @@
+// Runs inside the rendered page via page.evaluate, so it must stay self-contained.
+// Rebuilds the card from layout boxes: backgrounds and borders become rects,
+// text nodes become one <text> per line, inline SVG icons are copied as is.
+export function serializeCardSvg() {
+  const root = document.querySelector(".card") || document.body;
+  const origin = root.getBoundingClientRect();
+  const parts = [];
+
+  const escape = (value) =>
+    String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const round = (value) => Math.round(value * 100) / 100;
+  const isPainted = (color) => Boolean(color) && color !== "transparent" && !/^rgba\(.*,\s*0\)$/.test(color);
+  const box = (x, y, width, height) =>
+    `x="${round(x - origin.left)}" y="${round(y - origin.top)}" width="${round(width)}" height="${round(height)}"`;
+
+  // ::before and ::after content has no DOM node, so turn it into real spans first
+  const pseudoStyle = document.createElement("style");
+  pseudoStyle.textContent = ".costats-svg-pseudo::before, .costats-svg-pseudo::after { content: none !important; }";
+  const pseudos = [];
+  for (const element of root.querySelectorAll("*")) {
+    for (const position of ["before", "after"]) {
+      const style = getComputedStyle(element, "::" + position);
+      if (/^".*"$/.test(style.content)) {
+        pseudos.push({ element, position, text: style.content.slice(1, -1), color: style.color });
+      }
+    }
+  }
+  for (const { element, position, text, color } of pseudos) {
+    const span = document.createElement("span");
+    span.textContent = text;
+    span.style.color = color;
+    element.classList.add("costats-svg-pseudo");
+    if (position === "before") {
+      element.prepend(span);
+    } else {
+      element.append(span);
+    }
+  }
+  document.head.append(pseudoStyle);
+
+  for (const element of [root, ...root.querySelectorAll("*")]) {
+    if (element.closest("svg") && element.tagName.toLowerCase() !== "svg") {
+      continue;
+    }
+    const style = getComputedStyle(element);
+    if (style.display === "none" || style.visibility === "hidden") {
+      continue;
+    }
+    const rect = element.getBoundingClientRect();
+
+    if (element.tagName.toLowerCase() === "svg") {
+      const icon = element.cloneNode(true);
+      const shapes = element.querySelectorAll("*");
+      icon.querySelectorAll("*").forEach((shape, index) => {
+        shape.setAttribute("fill", getComputedStyle(shapes[index]).fill);
+      });
+      icon.removeAttribute("class");
+      icon.setAttribute("x", round(rect.left - origin.left));
+      icon.setAttribute("y", round(rect.top - origin.top));
+      icon.setAttribute("width", round(rect.width));
+      icon.setAttribute("height", round(rect.height));
+      parts.push(new XMLSerializer().serializeToString(icon));
+      continue;
+    }
+
+    if (isPainted(style.backgroundColor)) {
+      const radius = parseFloat(style.borderTopLeftRadius) || 0;
+      const rx = radius > 0 ? ` rx="${round(radius)}"` : "";
+      parts.push(`<rect ${box(rect.left, rect.top, rect.width, rect.height)}${rx} fill="${style.backgroundColor}"/>`);
+    }
+    for (const side of ["Top", "Right", "Bottom", "Left"]) {
+      const width = parseFloat(style[`border${side}Width`]) || 0;
+      const color = style[`border${side}Color`];
+      if (width <= 0 || style[`border${side}Style`] === "none" || !isPainted(color)) {
+        continue;
+      }
+      const edge = {
+        Top: [rect.left, rect.top, rect.width, width],
+        Right: [rect.right - width, rect.top, width, rect.height],
+        Bottom: [rect.left, rect.bottom - width, rect.width, width],
+        Left: [rect.left, rect.top, width, rect.height]
+      }[side];
+      parts.push(`<rect ${box(...edge)} fill="${color}"/>`);
+    }
+
+    for (const node of element.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+        parts.push(...textLines(node, style));
+      }
+    }
+  }
+
+  pseudoStyle.remove();
+
+  const imports = [];
+  for (const sheet of document.styleSheets) {
+    for (const rule of sheet.cssRules) {
+      if (rule instanceof CSSImportRule) {
+        imports.push(rule.cssText);
+      }
+    }
+  }
+  const width = round(origin.width);
+  const height = round(origin.height);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    imports.length > 0 ? `<style>${escape(imports.join("\n"))}</style>` : "",
+    ...parts,
+    "</svg>"
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  // Groups words by line box so wrapped text keeps its line breaks
+  function textLines(node, style) {
+    const range = document.createRange();
+    const lines = [];
+    for (const word of node.textContent.matchAll(/\S+/g)) {
+      range.setStart(node, word.index);
+      range.setEnd(node, word.index + word[0].length);
+      const wordRect = range.getClientRects()[0];
+      if (!wordRect) {
+        continue;
+      }
+      const line = lines.find((candidate) => Math.abs(candidate.top - wordRect.top) < wordRect.height / 2);
+      if (line) {
+        line.end = word.index + word[0].length;
+        line.right = wordRect.right;
+      } else {
+        lines.push({
+          start: word.index,
+          end: word.index + word[0].length,
+          top: wordRect.top,
+          left: wordRect.left,
+          right: wordRect.right,
+          height: wordRect.height
+        });
+      }
+    }
+    return lines.map((line) => {
+      const text = applyTextTransform(node.textContent.slice(line.start, line.end), style.textTransform);
+      const attributes = [
+        `x="${round(line.left - origin.left)}"`,
+        `y="${round(line.top - origin.top + line.height / 2)}"`,
+        `dominant-baseline="central"`,
+        `font-family="${escape(style.fontFamily)}"`,
+        `font-size="${style.fontSize}"`,
+        `font-weight="${style.fontWeight}"`,
+        `fill="${style.color}"`,
+        `textLength="${round(line.right - line.left)}"`,
+        `lengthAdjust="spacingAndGlyphs"`
+      ];
+      return `<text ${attributes.join(" ")} xml:space="preserve">${escape(text)}</text>`;
+    });
+  }
+
+  function applyTextTransform(text, transform) {
+    if (transform === "uppercase") {
+      return text.toUpperCase();
+    }
+    if (transform === "lowercase") {
+      return text.toLowerCase();
+    }
+    if (transform === "capitalize") {
+      return text.replace(/\b\w/g, (char) => char.toUpperCase());
+    }
+    return text;
+  }
+}
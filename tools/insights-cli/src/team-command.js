@@ -0,0 +1,146 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import ora from "ora";
+import { exitCodeFor } from "./errors.js";
+import { OutputFormats, resolveOutputFormat, withFormatExtension } from "./output-formats.js";
+import { Renderers, Scales, formatCardSize, renderTeamCard, resolveRenderSize, resolveRenderer } from "./render.js";
+import { loadTeamMembers, summarizeTeam } from "./team.js";
+import { TeamTemplate, loadTemplate } from "./templates.js";
+import { DefaultTheme, Themes, accentContrastWarning, resolveTheme } from "./themes.js";
+import { defaultTeamOutputPath, formatCompact, formatTable, openOutput } from "./utils.js";
+
+export async function runTeamCommand(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  if (options.inputs.length === 0) {
+    throw new Error("Pass the insights JSON files to compare, e.g. costats team alice.json bob.json");
+  }
+
+  const template = await loadTemplate(options.template || TeamTemplate);
+  if (template.builtIn && template.name !== TeamTemplate) {
+    throw new Error(`The ${template.name} template renders one person, use the default team layout or a template directory`);
+  }
+  const theme = resolveTheme({ theme: options.theme, accent: options.accent });
+  const accentWarning = accentContrastWarning(theme);
+  if (accentWarning) {
+    console.warn("costats: " + accentWarning);
+  }
+  const format = resolveOutputFormat({ format: options.format, outputPath: options.output, fallback: template.format });
+  const outputPath = path.resolve(options.output || withFormatExtension(defaultTeamOutputPath(), format));
+  const size = resolveRenderSize({ scale: options.scale, width: options.width });
+  const renderer = resolveRenderer(options.renderer, { template, format });
+
+  const team = summarizeTeam(await loadTeamMembers(options.inputs), { name: options.name });
+  if (options.json) {
+    await fs.writeFile(path.resolve(options.json), JSON.stringify(withoutReports(team), null, 2), "utf8");
+  }
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  const spinner = ora({
+    text: "Composing your team card...",
+    spinner: "dots",
+    isEnabled: Boolean(process.stdout.isTTY)
+  }).start();
+  try {
+    const card = await renderTeamCard(team, outputPath, { template, theme, format, renderer, ...size });
+    const openError = options.open ? await openOutput(outputPath) : null;
+    spinner.succeed(`Card generated: ${outputPath}${formatCardSize(card)}`);
+    console.log("\n" + formatLeaderboard(team));
+    if (openError) {
+      const message = openError instanceof Error ? openError.message : String(openError);
+      console.warn("costats: unable to open the image: " + message);
+    }
+  } catch (err) {
+    spinner.fail(err instanceof Error ? err.message : String(err));
+    process.exitCode = exitCodeFor(err);
+  }
+}
+
+function formatLeaderboard(team) {
+  const rows = team.members.map((member, index) => [
+    index + 1,
+    member.name,
+    Math.round(member.hours),
+    formatCompact(member.sessions),
+    "+" + formatCompact(member.linesAdded),
+    member.achievementRate === undefined ? "-" : Math.round(member.achievementRate * 100) + "%",
+    member.peakPeriod || "-"
+  ]);
+  return formatTable(["#", "Name", "Hours", "Sessions", "Added", "Achieved", "Peak"], rows, {
+    align: ["right", "left", "right", "right", "right", "right", "left"]
+  });
+}
+
+// The --json summary keeps the per-person numbers, not the full reports
+function withoutReports(team) {
+  return { ...team, members: team.members.map(({ data, ...member }) => member) };
+}
+
+function parseArgs(args) {
+  const options = {
+    inputs: [],
+    open: true
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === "--name") {
+      options.name = args[++i];
+    } else if (arg.startsWith("--name=")) {
+      options.name = arg.split("=")[1];
+    } else if (arg === "--output") {
+      options.output = args[++i];
+    } else if (arg.startsWith("--output=")) {
+      options.output = arg.split("=")[1];
+    } else if (arg === "--format") {
+      options.format = args[++i];
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.split("=")[1];
+    } else if (arg === "--json") {
+      options.json = args[++i];
+    } else if (arg.startsWith("--json=")) {
+      options.json = arg.split("=")[1];
+    } else if (arg === "--template") {
+      options.template = args[++i];
+    } else if (arg.startsWith("--template=")) {
+      options.template = arg.split("=")[1];
+    } else if (arg === "--theme") {
+      options.theme = args[++i];
+    } else if (arg.startsWith("--theme=")) {
+      options.theme = arg.split("=")[1];
+    } else if (arg === "--accent") {
+      options.accent = args[++i];
+    } else if (arg.startsWith("--accent=")) {
+      options.accent = arg.split("=")[1];
+    } else if (arg === "--scale") {
+      options.scale = args[++i];
+    } else if (arg.startsWith("--scale=")) {
+      options.scale = arg.split("=")[1];
+    } else if (arg === "--width") {
+      options.width = args[++i];
+    } else if (arg.startsWith("--width=")) {
+      options.width = arg.split("=")[1];
+    } else if (arg === "--renderer") {
+      options.renderer = args[++i];
+    } else if (arg.startsWith("--renderer=")) {
+      options.renderer = arg.split("=")[1];
+    } else if (arg === "--no-open") {
+      options.open = false;
+    } else if (arg === "--open") {
+      options.open = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (!arg.startsWith("-")) {
+      options.inputs.push(arg);
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(
+    `Costats Team\n\nUsage:\n  costats team <file|dir|glob>... [options]\n\nRenders a leaderboard card from insights JSON files written with --json, one per person.\nPeople are named after the file, e.g. alice.json, or the folder for insights.json.\n\nOptions:\n  --name <text>     Team name shown on the card (default: Team)\n  --output <path>   Card path, the extension picks the format (default: ${defaultTeamOutputPath()})\n  --format <${OutputFormats.join("|")}>\n                    Output format, overrides the --output extension (default: png)\n  --json <path>     Write the team totals and leaders to this file\n  --template <dir>  Custom team template directory (default: ${TeamTemplate})\n  --theme <${Themes.join("|")}>\n                    Card colors, auto follows the system setting (default: ${DefaultTheme})\n  --accent <hex>    Accent color, e.g. #22c55e\n  --scale <${Scales.join("|")}>   Pixel density, 2 for retina screens and social previews (default: 1)\n  --width <px>      Card width, the layout reflows to fit (default: template width)\n  --renderer <${Renderers.join("|")}>\n                    The team card needs Chromium, native only draws the roast card\n  --no-open         Do not open the generated card\n  -h, --help        Show help`
+  );
+}
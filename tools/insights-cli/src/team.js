@@ -0,0 +1,78 @@
+import { findReports, uniqueNames } from "./batch.js";
+import { readInsightsJson } from "./insights.js";
+
+export const PeakPeriods = ["Morning", "Afternoon", "Evening", "Night"];
+const MinMembers = 2;
+
+// Reads insights JSON files written by --json, given as files, directories or globs
+export async function loadTeamMembers(patterns) {
+  const files = [];
+  for (const pattern of patterns) {
+    const matches = await findReports(pattern, { extension: /\.json$/i });
+    if (matches.length === 0) {
+      throw new Error(`No insights JSON found for ${pattern}`);
+    }
+    files.push(...matches.filter((file) => !files.includes(file)));
+  }
+  if (files.length < MinMembers) {
+    throw new Error(`A team card needs at least ${MinMembers} insights JSON files, found ${files.length}`);
+  }
+  const names = uniqueNames(files);
+  return Promise.all(files.map(async (file, index) => ({ name: names[index], file, data: await readInsightsJson(file) })));
+}
+
+// Team totals, the leader of each category and how peak periods spread across the team
+export function summarizeTeam(members, { name } = {}) {
+  const rows = members
+    .map((member) => ({
+      name: member.name,
+      data: member.data,
+      hours: member.data.totals.hours ?? 0,
+      sessions: member.data.totals.sessions,
+      messages: member.data.totals.messages,
+      linesAdded: member.data.lines.added,
+      linesRemoved: member.data.lines.removed,
+      achievementRate: member.data.achievementRate,
+      peakPeriod: normalizePeakPeriod(member.data.peakPeriod || member.data.timeOfDay?.peakPeriod)
+    }))
+    .sort((a, b) => b.hours - a.hours || b.sessions - a.sessions);
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  const starts = rows.map((row) => row.data.dateRange.start).sort();
+  const ends = rows.map((row) => row.data.dateRange.end).sort();
+
+  return {
+    name: name || "Team",
+    provider: rows.every((row) => row.data.provider === "codex") ? "codex" : "claude",
+    dateRange: { start: starts[0], end: ends[ends.length - 1] },
+    totals: {
+      hours: sum("hours"),
+      sessions: sum("sessions"),
+      messages: sum("messages"),
+      linesAdded: sum("linesAdded"),
+      linesRemoved: sum("linesRemoved")
+    },
+    members: rows,
+    leaders: {
+      linesAdded: maxBy(rows, "linesAdded"),
+      sessions: maxBy(rows, "sessions"),
+      achievementRate: maxBy(
+        rows.filter((row) => row.achievementRate !== undefined),
+        "achievementRate"
+      )
+    },
+    peakSpread: PeakPeriods.map((period) => ({
+      period,
+      count: rows.filter((row) => row.peakPeriod === period).length
+    })).filter((entry) => entry.count > 0)
+  };
+}
+
+// Ties go to the first row, which is already ranked by hours
+function maxBy(rows, key) {
+  return rows.reduce((best, row) => (!best || row[key] > best[key] ? row : best), null);
+}
+
+function normalizePeakPeriod(value) {
+  const lower = (value || "").toLowerCase();
+  return PeakPeriods.find((period) => lower.includes(period.toLowerCase())) || null;
+}
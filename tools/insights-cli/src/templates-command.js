@@ -0,0 +1,50 @@
+import { TeamPlaceholders, TemplatePlaceholders } from "./render.js";
+import { DefaultTemplate, TeamTemplate, listTemplates, loadTemplate } from "./templates.js";
+import { formatTable } from "./utils.js";
+
+export async function runTemplatesCommand(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  if (options.placeholders) {
+    const placeholders = options.template === TeamTemplate ? TeamPlaceholders : TemplatePlaceholders;
+    const rows = Object.entries(placeholders).map(([key, description]) => ["{{" + key + "}}", description]);
+    console.log(formatTable(["Placeholder", "Description"], rows, { align: ["left", "left"] }));
+    return;
+  }
+
+  const templates = options.template ? [await loadTemplate(options.template)] : await listTemplates();
+  const rows = templates.map((template) => [
+    template.name + (template.name === DefaultTemplate ? " (default)" : ""),
+    `${template.viewport.width}x${template.viewport.height}`,
+    template.description
+  ]);
+  console.log(formatTable(["Template", "Size", "Description"], rows, { align: ["left", "right", "left"] }));
+  if (options.template) {
+    console.log("\nPlaceholders: " + templates[0].placeholders.join(", "));
+  }
+}
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === "--placeholders") {
+      options.placeholders = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (!arg.startsWith("-")) {
+      options.template = arg;
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(
+    `Costats Templates\n\nUsage:\n  costats templates               List built-in card templates\n  costats templates <name|dir>    Show one template and the placeholders it uses\n  costats templates --placeholders\n                                  List every placeholder a template can use\n  costats templates team --placeholders\n                                  List the placeholders of the team leaderboard (costats team)\n\nCustom templates are directories with card.html, card.css and an optional\nmanifest.json ({ "viewport": { "width": 800, "height": 640 }, "format": "png" }).\nPass the directory to --template.`
+  );
+}
@@ -0,0 +1,82 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { formatValidationError, validateTemplateManifest } from "./schema.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const templatesRoot = path.join(__dirname, "..", "templates");
+
+export const DefaultTemplate = "roast";
+export const DefaultViewport = { width: 800, height: 640 };
+
+// Built-in layouts; each directory holds card.html, card.css and manifest.json
+export const BuiltInTemplates = ["roast", "stats", "story"];
+
+// The team leaderboard has its own placeholders, so insights cards cannot use it
+export const TeamTemplate = "team";
+
+// Accepts a built-in template name or a path to a directory with card.html,
+// card.css and an optional manifest.json
+export async function loadTemplate(nameOrPath = DefaultTemplate) {
+  if (BuiltInTemplates.includes(nameOrPath) || nameOrPath === TeamTemplate) {
+    return { ...(await loadTemplateDir(path.join(templatesRoot, nameOrPath), nameOrPath)), builtIn: true };
+  }
+  const dir = path.resolve(nameOrPath);
+  const stat = await fs.stat(dir).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    throw new Error(
+      `Unknown template: ${nameOrPath}. Use one of ${BuiltInTemplates.join(", ")} or a path to a template directory.`
+    );
+  }
+  return { ...(await loadTemplateDir(dir, path.basename(dir))), builtIn: false };
+}
+
+export async function listTemplates() {
+  return Promise.all(BuiltInTemplates.map((name) => loadTemplate(name)));
+}
+
+export function findPlaceholders(html) {
+  return [...new Set([...html.matchAll(/\{\{([A-Z0-9_]+)\}\}/g)].map((match) => match[1]))];
+}
+
+async function loadTemplateDir(dir, name) {
+  const [html, css, manifestJson] = await Promise.all([
+    readTemplateFile(dir, "card.html"),
+    readTemplateFile(dir, "card.css"),
+    readTemplateFile(dir, "manifest.json", { optional: true })
+  ]);
+  let manifest = {};
+  if (manifestJson !== null) {
+    try {
+      manifest = validateTemplateManifest(JSON.parse(manifestJson));
+    } catch (err) {
+      throw new Error(`Template manifest ${path.join(dir, "manifest.json")} is invalid: ${formatValidationError(err)}`);
+    }
+  }
+  return {
+    name: manifest.name || name,
+    description: manifest.description || "",
+    dir,
+    html,
+    css,
+    viewport: manifest.viewport || DefaultViewport,
+    format: manifest.format,
+    placeholders: manifest.placeholders || findPlaceholders(html)
+  };
+}
+
+async function readTemplateFile(dir, fileName, { optional = false } = {}) {
+  const filePath = path.join(dir, fileName);
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      if (optional) {
+        return null;
+      }
+      throw new Error(`Template ${dir} is missing ${fileName}`);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,138 @@
+import { spawnSync } from "node:child_process";
+
+export const Themes = ["dark", "light", "auto"];
+export const DefaultTheme = "dark";
+
+// Card colors per theme; stat and roast colors keep at least 4.5:1 contrast against the background
+const Palettes = {
+  dark: {
+    bg: "#0d0d0d",
+    fg: "#ffffff",
+    ink: "255, 255, 255",
+    accent: "#f97316",
+    green: "#22c55e",
+    red: "#ef4444",
+    purple: "#a855f7",
+    cyan: "#06b6d4",
+    pink: "#f472b6"
+  },
+  light: {
+    bg: "#fafafa",
+    fg: "#111111",
+    ink: "0, 0, 0",
+    accent: "#c2410c",
+    green: "#15803d",
+    red: "#b91c1c",
+    purple: "#7e22ce",
+    cyan: "#0e7490",
+    pink: "#be185d"
+  }
+};
+
+// Accent text is large and bold, so 3:1 is the readable minimum
+const MinAccentContrast = 3;
+
+export function resolveTheme({ theme = DefaultTheme, accent } = {}) {
+  if (!Themes.includes(theme)) {
+    throw new Error(`Unknown theme: ${theme}. Use one of: ${Themes.join(", ")}`);
+  }
+  if (accent !== undefined && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(accent)) {
+    throw new Error(`--accent must be a hex color like #f97316, got: ${accent}`);
+  }
+  return {
+    name: theme,
+    accent: accent ? expandHex(accent) : undefined,
+    colorScheme: theme === "auto" ? detectColorScheme() : theme
+  };
+}
+
+// CSS custom properties for the card; auto follows prefers-color-scheme
+export function buildThemeCss(theme = resolveTheme()) {
+  if (theme.name === "auto") {
+    return (
+      `:root {\n${paletteCss(Palettes.dark, theme.accent, "  ")}\n}\n` +
+      `@media (prefers-color-scheme: light) {\n  :root {\n${paletteCss(Palettes.light, theme.accent, "    ")}\n  }\n}`
+    );
+  }
+  return `:root {\n${paletteCss(Palettes[theme.name], theme.accent, "  ")}\n}`;
+}
+
+// Resolved colors for renderers without CSS custom properties; auto uses the detected color scheme
+export function themePalette(theme = resolveTheme()) {
+  const palette = Palettes[theme.colorScheme] || Palettes.dark;
+  const accent = theme.accent || palette.accent;
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(accent.slice(start, start + 2), 16));
+  return { ...palette, accent, accentSoft: `rgba(${r}, ${g}, ${b}, 0.1)` };
+}
+
+// Returns a warning when a custom accent is hard to read on the theme background
+export function accentContrastWarning(theme) {
+  if (!theme.accent) {
+    return null;
+  }
+  const schemes = theme.name === "auto" ? ["dark", "light"] : [theme.name];
+  for (const scheme of schemes) {
+    const ratio = contrastRatio(theme.accent, Palettes[scheme].bg);
+    if (ratio < MinAccentContrast) {
+      return `accent ${theme.accent} has low contrast on the ${scheme} theme (${ratio.toFixed(1)}:1)`;
+    }
+  }
+  return null;
+}
+
+function paletteCss(palette, accent, indent) {
+  const color = accent || palette.accent;
+  const lines = [
+    `--card-bg: ${palette.bg};`,
+    `--card-fg: ${palette.fg};`,
+    `--card-ink: ${palette.ink};`,
+    `--card-accent: ${color};`,
+    `--card-accent-soft: color-mix(in srgb, ${color} 10%, transparent);`,
+    `--card-green: ${palette.green};`,
+    `--card-red: ${palette.red};`,
+    `--card-purple: ${palette.purple};`,
+    `--card-cyan: ${palette.cyan};`,
+    `--card-pink: ${palette.pink};`
+  ];
+  return lines.map((line) => indent + line).join("\n");
+}
+
+function detectColorScheme() {
+  if (process.platform === "darwin") {
+    const result = spawnSync("defaults", ["read", "-g", "AppleInterfaceStyle"], { encoding: "utf8" });
+    return result.stdout && result.stdout.trim() === "Dark" ? "dark" : "light";
+  }
+  if (process.platform === "win32") {
+    const result = spawnSync(
+      "reg",
+      ["query", "HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Themes\\Personalize", "/v", "AppsUseLightTheme"],
+      { encoding: "utf8", windowsHide: true }
+    );
+    if (!result.error && result.status === 0) {
+      return /AppsUseLightTheme\s+REG_DWORD\s+0x0\b/.test(result.stdout) ? "dark" : "light";
+    }
+  }
+  if (/:light$/i.test(process.env.GTK_THEME || "")) {
+    return "light";
+  }
+  return "dark";
+}
+
+function expandHex(hex) {
+  const value = hex.slice(1).toLowerCase();
+  return value.length === 3 ? "#" + [...value].map((char) => char + char).join("") : "#" + value;
+}
+
+// WCAG relative luminance contrast between two #rrggbb colors
+function contrastRatio(first, second) {
+  const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function luminance(hex) {
+  const [r, g, b] = [1, 3, 5].map((start) => {
+    const channel = parseInt(hex.slice(start, start + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
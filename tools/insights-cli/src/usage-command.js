@@ -0,0 +1,201 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import ora from "ora";
+import { readClaudeUsage } from "./claude-logs.js";
+import { readCodexUsage } from "./codex-logs.js";
+import { OutputFormats, resolveOutputFormat, withFormatExtension } from "./output-formats.js";
+import { loadPricing } from "./pricing.js";
+import { Renderers, Scales, formatCardSize, renderCard, resolveRenderSize, resolveRenderer } from "./render.js";
+import { validateInsights } from "./schema.js";
+import { BuiltInTemplates, DefaultTemplate, loadTemplate } from "./templates.js";
+import { DefaultTheme, Themes, accentContrastWarning, resolveTheme } from "./themes.js";
+import { formatUsageTable, summarizeUsage, usageToInsights } from "./usage.js";
+import {
+  defaultClaudeProjectsDir,
+  defaultCodexSessionsDir,
+  defaultPricingPath,
+  defaultUsageOutputPath,
+  openOutput
+} from "./utils.js";
+
+const Formats = ["table", "json", "card"];
+const Readers = {
+  claude: readClaudeUsage,
+  codex: readCodexUsage
+};
+const DefaultDays = 30;
+
+export async function runUsageCommand(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  // Image formats imply a card, e.g. --format svg
+  if (!Formats.includes(options.format) && !OutputFormats.includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format}. Use one of: ${[...Formats, ...OutputFormats].join(", ")}`);
+  }
+  const readUsage = Readers[options.provider];
+  if (!readUsage) {
+    throw new Error(`Unknown provider: ${options.provider}. Use one of: ${Object.keys(Readers).join(", ")}`);
+  }
+  const range = resolveRange(options);
+  const pricing = await loadPricing(options.pricing || defaultPricingPath(), { required: Boolean(options.pricing) });
+
+  const records = await readUsage({ logDir: options.logDir, ...range });
+  const summary = summarizeUsage(records, { provider: options.provider, pricing, ...range });
+
+  if (options.format === "json") {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+  if (options.format === "table") {
+    console.log(formatUsageTable(summary));
+    return;
+  }
+
+  const template = await loadTemplate(options.template);
+  const theme = resolveTheme({ theme: options.theme, accent: options.accent });
+  const accentWarning = accentContrastWarning(theme);
+  if (accentWarning) {
+    console.warn("costats: " + accentWarning);
+  }
+  const format = resolveOutputFormat({
+    format: OutputFormats.includes(options.format) ? options.format : undefined,
+    outputPath: options.output,
+    fallback: template.format
+  });
+  const outputPath = path.resolve(options.output || withFormatExtension(defaultUsageOutputPath(), format));
+  const size = resolveRenderSize({ scale: options.scale, width: options.width });
+  const renderer = resolveRenderer(options.renderer, { template, format });
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  const spinner = ora({
+    text: "Composing your usage card...",
+    spinner: "dots",
+    isEnabled: Boolean(process.stdout.isTTY)
+  }).start();
+  try {
+    const card = await renderCard(validateInsights(usageToInsights(summary)), outputPath, {
+      template,
+      theme,
+      format,
+      renderer,
+      ...size
+    });
+    const openError = options.open ? await openOutput(outputPath) : null;
+    spinner.succeed(`Card generated: ${outputPath}${formatCardSize(card)}`);
+    if (openError) {
+      const message = openError instanceof Error ? openError.message : String(openError);
+      console.warn("costats: unable to open the image: " + message);
+    }
+    if (card.fallbackReason) {
+      console.warn("costats: Chromium is unavailable, used the native renderer: " + card.fallbackReason);
+    }
+  } catch (err) {
+    spinner.fail(err instanceof Error ? err.message : String(err));
+    process.exitCode = 1;
+  }
+}
+
+function resolveRange(options) {
+  for (const key of ["since", "until"]) {
+    if (options[key] && !/^\d{4}-\d{2}-\d{2}$/.test(options[key])) {
+      throw new Error(`--${key} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (options.since || options.until) {
+    return { since: options.since, until: options.until };
+  }
+  const days = options.days === undefined ? DefaultDays : Number(options.days);
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error("--days must be a positive whole number");
+  }
+  const until = new Date();
+  const since = new Date(until.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+  return { since: since.toISOString().slice(0, 10), until: until.toISOString().slice(0, 10) };
+}
+
+function parseArgs(args) {
+  const options = {
+    provider: "claude",
+    format: "table",
+    open: true
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === "--provider") {
+      options.provider = args[++i];
+    } else if (arg.startsWith("--provider=")) {
+      options.provider = arg.split("=")[1];
+    } else if (arg === "--days") {
+      options.days = args[++i];
+    } else if (arg.startsWith("--days=")) {
+      options.days = arg.split("=")[1];
+    } else if (arg === "--since") {
+      options.since = args[++i];
+    } else if (arg.startsWith("--since=")) {
+      options.since = arg.split("=")[1];
+    } else if (arg === "--until") {
+      options.until = args[++i];
+    } else if (arg.startsWith("--until=")) {
+      options.until = arg.split("=")[1];
+    } else if (arg === "--format") {
+      options.format = args[++i];
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.split("=")[1];
+    } else if (arg === "--json") {
+      options.format = "json";
+    } else if (arg === "--card") {
+      options.format = "card";
+    } else if (arg === "--output") {
+      options.output = args[++i];
+    } else if (arg.startsWith("--output=")) {
+      options.output = arg.split("=")[1];
+    } else if (arg === "--template") {
+      options.template = args[++i];
+    } else if (arg.startsWith("--template=")) {
+      options.template = arg.split("=")[1];
+    } else if (arg === "--log-dir") {
+      options.logDir = args[++i];
+    } else if (arg.startsWith("--log-dir=")) {
+      options.logDir = arg.split("=")[1];
+    } else if (arg === "--pricing") {
+      options.pricing = args[++i];
+    } else if (arg.startsWith("--pricing=")) {
+      options.pricing = arg.split("=")[1];
+    } else if (arg === "--theme") {
+      options.theme = args[++i];
+    } else if (arg.startsWith("--theme=")) {
+      options.theme = arg.split("=")[1];
+    } else if (arg === "--accent") {
+      options.accent = args[++i];
+    } else if (arg.startsWith("--accent=")) {
+      options.accent = arg.split("=")[1];
+    } else if (arg === "--scale") {
+      options.scale = args[++i];
+    } else if (arg.startsWith("--scale=")) {
+      options.scale = arg.split("=")[1];
+    } else if (arg === "--width") {
+      options.width = args[++i];
+    } else if (arg.startsWith("--width=")) {
+      options.width = arg.split("=")[1];
+    } else if (arg === "--renderer") {
+      options.renderer = args[++i];
+    } else if (arg.startsWith("--renderer=")) {
+      options.renderer = arg.split("=")[1];
+    } else if (arg === "--no-open") {
+      options.open = false;
+    } else if (arg === "--open") {
+      options.open = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(
+    `Costats Usage\n\nUsage:\n  costats usage [options]\n\nBuilds usage stats straight from Claude Code or Codex session logs.\n\nOptions:\n  --provider <claude|codex>\n                    Which session logs to read (default: claude)\n  --days <n>        Days to include, ending today (default: ${DefaultDays})\n  --since <date>    First day to include (YYYY-MM-DD)\n  --until <date>    Last day to include (YYYY-MM-DD)\n  --format <table|json|card|${OutputFormats.join("|")}>\n                    Output format, image formats render a card (default: table)\n  --json            Shorthand for --format json\n  --card            Shorthand for --format card\n  --output <path>   Card path, the extension picks the format (default: ${defaultUsageOutputPath()})\n  --template <name|dir>\n                    Card layout: ${BuiltInTemplates.join(", ")} or a template directory (default: ${DefaultTemplate})\n  --theme <${Themes.join("|")}>\n                    Card colors, auto follows the system setting (default: ${DefaultTheme})\n  --accent <hex>    Accent color, e.g. #22c55e\n  --scale <${Scales.join("|")}>   Pixel density, 2 for retina screens and social previews (default: 1)\n  --width <px>      Card width, the layout reflows to fit (default: template width)\n  --renderer <${Renderers.join("|")}>\n                    chromium renders any template, native draws the roast card as png or svg\n                    without a browser (default: auto, native when Chromium cannot be installed)\n  --log-dir <path>  Log directory (default: ${defaultClaudeProjectsDir()} for claude,\n                    ${defaultCodexSessionsDir()} for codex, honoring CODEX_HOME)\n  --pricing <path>  Pricing overrides JSON (default: ${defaultPricingPath()} when present)\n  --no-open         Do not open the generated card\n  -h, --help        Show help\n\nCosts are estimates based on public per-token pricing.`
+  );
+}
@@ -0,0 +1,140 @@
+import { computeCost, defaultPricing } from "./pricing.js";
+import { computePeakPeriod, formatCompact, formatTable } from "./utils.js";
+
+// Gaps between calls longer than this do not count towards active hours
+const IdleGapMs = 30 * 60 * 1000;
+
+export function summarizeUsage(records, { provider = "claude", since, until, pricing = defaultPricing } = {}) {
+  const sessions = new Map();
+  const days = new Set();
+  const models = new Map();
+  const tools = new Map();
+  const hourCounts = {};
+  const tokens = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+  let costUsd = 0;
+
+  for (const record of records) {
+    const time = Date.parse(record.timestamp);
+    const cost = computeCost(pricing.findRate(record.provider, record.model), record);
+    costUsd += cost;
+    tokens.input += record.inputTokens;
+    tokens.output += record.outputTokens;
+    tokens.cacheRead += record.cacheReadTokens;
+    tokens.cacheWrite += record.cacheWriteTokens;
+    days.add(record.timestamp.slice(0, 10));
+
+    if (!sessions.has(record.sessionId)) {
+      sessions.set(record.sessionId, []);
+    }
+    if (Number.isFinite(time)) {
+      sessions.get(record.sessionId).push(time);
+      const hour = String(new Date(time).getHours());
+      hourCounts[hour] = (hourCounts[hour] || 0) + 1;
+    }
+
+    const model = models.get(record.model) || {
+      model: record.model,
+      messages: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      costUsd: 0
+    };
+    model.messages += 1;
+    model.inputTokens += record.inputTokens;
+    model.outputTokens += record.outputTokens;
+    model.cacheReadTokens += record.cacheReadTokens;
+    model.cacheWriteTokens += record.cacheWriteTokens;
+    model.costUsd += cost;
+    models.set(record.model, model);
+
+    for (const name of record.tools || []) {
+      tools.set(name, (tools.get(name) || 0) + 1);
+    }
+  }
+
+  const sortedDays = [...days].sort();
+  return {
+    provider,
+    dateRange: {
+      start: since || sortedDays[0] || "",
+      end: until || sortedDays[sortedDays.length - 1] || ""
+    },
+    messages: records.length,
+    sessions: sessions.size,
+    activeDays: days.size,
+    hours: estimateActiveHours(sessions),
+    tokens: { ...tokens, total: tokens.input + tokens.output + tokens.cacheRead + tokens.cacheWrite },
+    costUsd,
+    models: [...models.values()].sort((a, b) => b.costUsd - a.costUsd),
+    tools: [...tools.entries()].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count),
+    hourCounts
+  };
+}
+
+// Maps a usage summary onto insightsSchema so it can be rendered with renderCard
+export function usageToInsights(summary) {
+  const peakPeriod = computePeakPeriod(summary.hourCounts) || undefined;
+  return {
+    title: summary.provider === "codex" ? "Codex Usage" : "Claude Code Usage",
+    provider: summary.provider,
+    dateRange: summary.dateRange,
+    totals: {
+      messages: summary.messages,
+      sessions: summary.sessions,
+      days: summary.activeDays,
+      hours: summary.hours
+    },
+    lines: { added: 0, removed: 0 },
+    filesTouched: 0,
+    messagesPerDay: summary.activeDays > 0 ? Math.round((summary.messages / summary.activeDays) * 10) / 10 : 0,
+    tools: summary.tools,
+    costUsd: Math.round(summary.costUsd * 100) / 100,
+    timeOfDay: { hourCounts: summary.hourCounts, peakPeriod },
+    peakPeriod
+  };
+}
+
+export function formatUsageTable(summary) {
+  const rows = summary.models.map((model) => [
+    model.model,
+    formatCompact(model.messages),
+    formatCompact(model.inputTokens),
+    formatCompact(model.outputTokens),
+    formatCompact(model.cacheReadTokens),
+    formatCompact(model.cacheWriteTokens),
+    formatUsd(model.costUsd)
+  ]);
+  rows.push([
+    "Total",
+    formatCompact(summary.messages),
+    formatCompact(summary.tokens.input),
+    formatCompact(summary.tokens.output),
+    formatCompact(summary.tokens.cacheRead),
+    formatCompact(summary.tokens.cacheWrite),
+    formatUsd(summary.costUsd)
+  ]);
+  const range = summary.dateRange.start ? `${summary.dateRange.start} to ${summary.dateRange.end}` : "no activity";
+  const header = `${range}: ${summary.sessions} sessions, ${summary.activeDays} active days, ~${summary.hours}h active, ~${formatUsd(summary.costUsd)} spent`;
+  const table = formatTable(["Model", "Msgs", "Input", "Output", "Cache read", "Cache write", "Est. cost"], rows);
+  return header + "\n\n" + table;
+}
+
+export function formatUsd(value) {
+  return "$" + (value || 0).toFixed(2);
+}
+
+function estimateActiveHours(sessions) {
+  let activeMs = 0;
+  for (const times of sessions.values()) {
+    times.sort((a, b) => a - b);
+    for (let i = 1; i < times.length; i += 1) {
+      const gap = times[i] - times[i - 1];
+      if (gap <= IdleGapMs) {
+        activeMs += gap;
+      }
+    }
+  }
+  return Math.round((activeMs / 3_600_000) * 10) / 10;
+}
@@ -1,5 +1,8 @@
+import fs from "node:fs/promises";
 import path from "node:path";
 import os from "node:os";
+import open from "open";
+import { AuthError } from "./errors.js";
 
 export function defaultReportPath() {
   return path.join(os.homedir(), ".claude", "usage-data", "report.html");
@@ -9,6 +12,48 @@ export function defaultOutputPath() {
   return path.join(os.homedir(), ".costats", "images", "costats-insights.png");
 }
 
+export function defaultUsageOutputPath() {
+  return path.join(os.homedir(), ".costats", "images", "costats-usage.png");
+}
+
+export function defaultTeamOutputPath() {
+  return path.join(os.homedir(), ".costats", "images", "costats-team.png");
+}
+
+export function defaultBatchOutputDir() {
+  return path.join(os.homedir(), ".costats", "images", "batch");
+}
+
+export function defaultHistoryDir() {
+  return path.join(os.homedir(), ".costats", "history");
+}
+
+// Kept apart from the user's own snapshots, which the card's delta row and costats diff compare
+export function defaultBatchHistoryDir() {
+  return path.join(defaultHistoryDir(), "batch");
+}
+
+export function defaultCacheDir() {
+  return path.join(os.homedir(), ".costats", "cache");
+}
+
+export function defaultPricingPath() {
+  return path.join(os.homedir(), ".costats", "pricing.json");
+}
+
+export function defaultRedactionPath() {
+  return path.join(os.homedir(), ".costats", "redact.json");
+}
+
+export function defaultClaudeProjectsDir() {
+  return path.join(os.homedir(), ".claude", "projects");
+}
+
+export function defaultCodexSessionsDir() {
+  const codexHome = process.env.CODEX_HOME?.trim();
+  return path.join(codexHome || path.join(os.homedir(), ".codex"), "sessions");
+}
+
 export function getPlaywrightCacheDir() {
   const envPath = process.env.PLAYWRIGHT_BROWSERS_PATH;
   if (envPath && envPath !== "0") {
@@ -21,6 +66,16 @@ export function getPlaywrightCacheDir() {
   return path.join(os.homedir(), ".cache", "costats-playwright");
 }
 
+// Opens a generated file in the default viewer, returning the error instead of throwing
+export async function openOutput(outputPath) {
+  try {
+    await open(outputPath, { wait: false });
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
 export function parseNumber(value) {
   if (value === null || value === undefined) {
     return null;
@@ -33,6 +88,23 @@ export function parseNumber(value) {
   return Number.isFinite(num) ? num : null;
 }
 
+export function parseCompactNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const match = /(-?[\d,]*\.?\d+)\s*([KMB](?![a-z]))?/i.exec(String(value));
+  if (!match) {
+    return null;
+  }
+  const num = Number(match[1].replace(/,/g, ""));
+  if (!Number.isFinite(num)) {
+    return null;
+  }
+  const multipliers = { K: 1_000, M: 1_000_000, B: 1_000_000_000 };
+  const suffix = match[2] ? match[2].toUpperCase() : null;
+  return suffix ? Math.round(num * multipliers[suffix]) : num;
+}
+
 export function parseInteger(value) {
   const num = parseNumber(value);
   return num === null ? null : Math.round(num);
@@ -55,6 +127,45 @@ export function formatCompact(value) {
   return String(Math.round(abs));
 }
 
+// --verbose lines go to stderr above a running spinner; undefined when not verbose
+export function createVerboseLog(spinner, verbose) {
+  if (!verbose) {
+    return undefined;
+  }
+  return (message) => {
+    if (!spinner.isSpinning) {
+      console.error("costats: " + message);
+      return;
+    }
+    spinner.clear();
+    console.error("costats: " + message);
+    spinner.render();
+  };
+}
+
+// Rough token count for --verbose, about four characters per token for English text and markup
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Columns are right-aligned except the first, unless `align` lists "left"/"right" per column
+export function formatTable(headers, rows, { align } = {}) {
+  const widths = headers.map((header, index) =>
+    Math.max(String(header).length, ...rows.map((row) => String(row[index] ?? "").length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, index) => {
+        const text = String(cell ?? "");
+        const alignment = align?.[index] || (index === 0 ? "left" : "right");
+        return alignment === "left" ? text.padEnd(widths[index]) : text.padStart(widths[index]);
+      })
+      .join("  ")
+      .trimEnd();
+  const divider = widths.map((width) => "-".repeat(width)).join("  ");
+  return [formatRow(headers), divider, ...rows.map(formatRow)].join("\n");
+}
+
 function trimTrailingZero(value) {
   return value.replace(/\.0$/, "");
 }
@@ -147,3 +258,20 @@ export function deriveBadge({ totalHours, linesChanged, toolCount, peakPeriod, m
   }
   return { label: "Focused Builder", reason: "Consistent momentum" };
 }
+
+// Used by every LLM provider for --api-key-file
+export async function readApiKeyFile(filePath) {
+  let key;
+  try {
+    key = (await fs.readFile(filePath, "utf8")).trim();
+  } catch (err) {
+    if (err && typeof err === "object" && err.code === "ENOENT") {
+      throw new AuthError(`API key file not found: ${filePath}`);
+    }
+    throw err;
+  }
+  if (!key) {
+    throw new AuthError(`API key file ${filePath} is empty`);
+  }
+  return key;
+}